@@ -123,22 +123,22 @@ echo "📝 POST Request (Create Resource):"
 curl -s -X POST \
   -H "$ADMIN_AUTH" \
   -H "Content-Type: application/xml" \
-  -d '<request><create><parameter name="CSD"><cicsdefinitionprogram program="MYPROG" language="COBOL" /></parameter></create></request>' \
-  "$BASE_URL/CICSSystemManagement/CICSDefinitionProgram"
+  -d '<request><create><parameter name="CSD"/><attributes name="MYPROG" csdgroup="MYGRP" language="COBOL" /></create></request>' \
+  "$BASE_URL/CICSSystemManagement/CICSDefinitionProgram/PLEX1?PARAMETER=CSDGROUP(MYGRP)"
 echo ""
 
 echo "✏️  PUT Request (Update Resource):"
 curl -s -X PUT \
   -H "$ADMIN_AUTH" \
   -H "Content-Type: application/xml" \
-  -d '<request><update><parameter name="CSD"><cicsdefinitionprogram program="MYPROG" status="DISABLED" /></parameter></update></request>' \
-  "$BASE_URL/CICSSystemManagement/CICSDefinitionProgram"
+  -d '<request><update><parameter name="CSD"/><attributes status="DISABLED" /></update></request>' \
+  "$BASE_URL/CICSSystemManagement/CICSDefinitionProgram/PLEX1?PARAMETER=CSDGROUP(MYGRP)"
 echo ""
 
 echo "🗑️  DELETE Request:"
 curl -s -X DELETE \
   -H "$ADMIN_AUTH" \
-  "$BASE_URL/CICSSystemManagement/CICSDefinitionProgram/MYPROG"
+  "$BASE_URL/CICSSystemManagement/CICSDefinitionProgram/PLEX1?PARAMETER=CSDGROUP(MYGRP)"
 echo ""
 
 # ===========================================
@@ -172,19 +172,19 @@ echo ""
 
 echo "Programs:"
 curl -s -H "$ADMIN_AUTH" \
-  "$BASE_URL/CICSSystemManagement/CICSDefinitionProgram?count=1" | head -5
+  "$BASE_URL/CICSSystemManagement/CICSDefinitionProgram?PARAMETER=CSDGROUP(*)&count=1" | head -5
 echo "..."
 echo ""
 
 echo "Transactions:"
 curl -s -H "$ADMIN_AUTH" \
-  "$BASE_URL/CICSSystemManagement/CICSDefinitionTransaction?count=1" | head -5
+  "$BASE_URL/CICSSystemManagement/CICSDefinitionTransaction?PARAMETER=CSDGROUP(*)&count=1" | head -5
 echo "..."
 echo ""
 
 echo "URI Maps:"
 curl -s -H "$ADMIN_AUTH" \
-  "$BASE_URL/CICSSystemManagement/CICSDefinitionURIMap?count=1" | head -5
+  "$BASE_URL/CICSSystemManagement/CICSDefinitionURIMap?PARAMETER=CSDGROUP(*)&count=1" | head -5
 echo "..."
 echo ""
 
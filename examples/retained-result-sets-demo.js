@@ -18,6 +18,9 @@ const xml2js = require('xml2js');
 const MOCK_SERVER_URL = 'localhost:9080';
 const TEST_CREDENTIALS = Buffer.from('testuser:testpass').toString('base64');
 
+// LtpaToken2 from the first login; result sets belong to the session that created them
+let ltpaToken = null;
+
 /**
  * Make an HTTP request to the mock server
  */
@@ -28,15 +31,19 @@ function makeRequest(method, path, body = null) {
       port: 9080,
       path: path,
       method: method,
-      headers: {
-        'Authorization': `Basic ${TEST_CREDENTIALS}`,
-        'Content-Type': 'application/xml'
-      }
+      headers: ltpaToken
+        ? { 'LtpaToken2': ltpaToken, 'Content-Type': 'application/xml' }
+        : { 'Authorization': `Basic ${TEST_CREDENTIALS}`, 'Content-Type': 'application/xml' }
     };
 
     const req = http.request(options, (res) => {
       let data = '';
 
+      const setCookie = res.headers['set-cookie']?.find(cookie => cookie.startsWith('LtpaToken2='));
+      if (setCookie) {
+        ltpaToken = setCookie.match(/LtpaToken2=([^;]+)/)[1];
+      }
+
       res.on('data', (chunk) => {
         data += chunk;
       });
@@ -196,7 +203,7 @@ async function demo3_OrderingDemo() {
   // Create result set
   console.log('\n1️⃣  Creating retained result set for ordering demo...');
   const response = await makeRequest('GET',
-    '/CICSSystemManagement/CICSDefinitionProgram?NODISCARD&SUMMONLY&count=50'
+    '/CICSSystemManagement/CICSDefinitionProgram?PARAMETER=CSDGROUP(*)&NODISCARD&SUMMONLY&count=50'
   );
 
   const parsed = await parseXML(response.body);
@@ -200,9 +200,8 @@ async function testPost() {
 
   const xmlBody = `<request>
     <create>
-      <parameter name="CSD">
-        <cicsdefinitionprogram program="TESTPROG" language="COBOL" />
-      </parameter>
+      <parameter name="CSD"/>
+      <attributes name="TESTPROG" csdgroup="TESTGRP" language="COBOL" />
     </create>
   </request>`;
 
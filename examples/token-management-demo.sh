@@ -7,6 +7,8 @@
 
 BASE_URL="http://localhost:9080"
 ADMIN_AUTH="Authorization: Basic $(echo -n 'adminusr:adminpas' | base64)"
+# Token for the admin endpoints when the server runs with ADMIN_TOKEN set
+ADMIN_API_AUTH="X-Admin-Token: ${ADMIN_TOKEN:-}"
 
 echo "🔑 CICS CMCI Mock Server - LTPA Token Management Demo"
 echo "===================================================="
@@ -33,12 +35,12 @@ print_info() {
 print_step "Step 1: Check initial token and session state"
 
 echo "Active sessions:"
-INITIAL_SESSIONS=$(curl -s "$BASE_URL/admin/sessions")
+INITIAL_SESSIONS=$(curl -s -H "$ADMIN_API_AUTH" "$BASE_URL/admin/sessions")
 echo "$INITIAL_SESSIONS" | jq '.'
 echo ""
 
 echo "Active LTPA tokens:"
-INITIAL_TOKENS=$(curl -s "$BASE_URL/admin/ltpa-tokens")
+INITIAL_TOKENS=$(curl -s -H "$ADMIN_API_AUTH" "$BASE_URL/admin/ltpa-tokens")
 echo "$INITIAL_TOKENS" | jq '.'
 echo ""
 
@@ -98,12 +100,12 @@ echo ""
 print_step "Step 3: Monitor active tokens and sessions after authentication"
 
 echo "Updated sessions:"
-UPDATED_SESSIONS=$(curl -s "$BASE_URL/admin/sessions")
+UPDATED_SESSIONS=$(curl -s -H "$ADMIN_API_AUTH" "$BASE_URL/admin/sessions")
 echo "$UPDATED_SESSIONS" | jq '.'
 echo ""
 
 echo "Updated LTPA tokens:"
-UPDATED_TOKENS=$(curl -s "$BASE_URL/admin/ltpa-tokens")
+UPDATED_TOKENS=$(curl -s -H "$ADMIN_API_AUTH" "$BASE_URL/admin/ltpa-tokens")
 echo "$UPDATED_TOKENS" | jq '.'
 echo ""
 
@@ -113,7 +115,7 @@ print_step "Step 4: Test using LTPA tokens for API requests"
 if [ ! -z "$ADMIN_LTPA" ]; then
     echo "4.1 - Using admin LTPA token:"
     ADMIN_TOKEN_RESPONSE=$(curl -s -H "LtpaToken2: $ADMIN_LTPA" \
-      "$BASE_URL/CICSSystemManagement/CICSDefinitionProgram?count=2")
+      "$BASE_URL/CICSSystemManagement/CICSDefinitionProgram?PARAMETER=CSDGROUP(*)&count=2")
     
     if [[ "$ADMIN_TOKEN_RESPONSE" == *"resultsummary"* ]]; then
         print_success "Admin LTPA token working"
@@ -127,7 +129,7 @@ fi
 if [ ! -z "$TESTUSER_LTPA" ]; then
     echo "4.2 - Using testuser LTPA token:"
     TESTUSER_TOKEN_RESPONSE=$(curl -s -H "LtpaToken2: $TESTUSER_LTPA" \
-      "$BASE_URL/CICSSystemManagement/CICSDefinitionTransaction?count=3")
+      "$BASE_URL/CICSSystemManagement/CICSDefinitionTransaction?PARAMETER=CSDGROUP(*)&count=3")
     
     if [[ "$TESTUSER_TOKEN_RESPONSE" == *"resultsummary"* ]]; then
         print_success "testuser LTPA token working"
@@ -142,7 +144,7 @@ fi
 print_step "Step 5: Demonstrate token management capabilities"
 
 echo "5.1 - Current token count:"
-TOKEN_COUNT=$(curl -s "$BASE_URL/admin/ltpa-tokens" | jq '.tokens | length')
+TOKEN_COUNT=$(curl -s -H "$ADMIN_API_AUTH" "$BASE_URL/admin/ltpa-tokens" | jq '.tokens | length')
 print_info "Active tokens: $TOKEN_COUNT"
 echo ""
 
@@ -162,12 +164,12 @@ echo ""
 print_step "Step 6: Demonstrate selective token management"
 
 echo "6.1 - Clear all LTPA tokens:"
-CLEAR_RESPONSE=$(curl -s -X DELETE "$BASE_URL/admin/ltpa-tokens")
+CLEAR_RESPONSE=$(curl -s -X DELETE -H "$ADMIN_API_AUTH" "$BASE_URL/admin/ltpa-tokens")
 echo "$CLEAR_RESPONSE" | jq '.'
 echo ""
 
 echo "6.2 - Verify tokens are cleared:"
-CLEARED_TOKENS=$(curl -s "$BASE_URL/admin/ltpa-tokens")
+CLEARED_TOKENS=$(curl -s -H "$ADMIN_API_AUTH" "$BASE_URL/admin/ltpa-tokens")
 echo "$CLEARED_TOKENS" | jq '.'
 
 CLEARED_COUNT=$(echo "$CLEARED_TOKENS" | jq '.tokens | length')
@@ -195,17 +197,17 @@ echo ""
 print_step "Step 7: Demonstrate session management"
 
 echo "7.1 - Current sessions:"
-CURRENT_SESSIONS=$(curl -s "$BASE_URL/admin/sessions")
+CURRENT_SESSIONS=$(curl -s -H "$ADMIN_API_AUTH" "$BASE_URL/admin/sessions")
 echo "$CURRENT_SESSIONS" | jq '.'
 echo ""
 
 echo "7.2 - Clear all sessions:"
-SESSION_CLEAR_RESPONSE=$(curl -s -X DELETE "$BASE_URL/admin/sessions")
+SESSION_CLEAR_RESPONSE=$(curl -s -X DELETE -H "$ADMIN_API_AUTH" "$BASE_URL/admin/sessions")
 echo "$SESSION_CLEAR_RESPONSE" | jq '.'
 echo ""
 
 echo "7.3 - Verify sessions are cleared:"
-FINAL_SESSIONS=$(curl -s "$BASE_URL/admin/sessions")
+FINAL_SESSIONS=$(curl -s -H "$ADMIN_API_AUTH" "$BASE_URL/admin/sessions")
 echo "$FINAL_SESSIONS" | jq '.'
 echo ""
 
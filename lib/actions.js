@@ -0,0 +1,192 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+/**
+ * CMCI PUT actions
+ *
+ * Maps the actions a client can perform on each resource type, e.g.
+ * <request><action name="NEWCOPY"/></request>, to the state transitions they
+ * cause. Each action is a function (record, parameters) returning the
+ * attributes to change on the record, or null when the action removes it.
+ *
+ * Some actions are refused in some states, as the region would refuse the
+ * EXEC CICS command; the refused records are reported in <feedback>.
+ */
+
+const { findEibresp } = require('./responses');
+
+/**
+ * Increment a numeric attribute value
+ */
+function increment(value) {
+  return String((parseInt(value, 10) || 0) + 1);
+}
+
+const enableStatus = attribute => ({
+  ENABLE: () => ({ [attribute]: 'ENABLED' }),
+  DISABLE: () => ({ [attribute]: 'DISABLED' })
+});
+
+// Installing a definition leaves the definition unchanged; the installed resource is created by lib/install
+const install = {
+  INSTALL: () => ({}),
+  CSDINSTALL: () => ({})
+};
+
+const RESOURCE_ACTIONS = {
+  'cicsdefinitionprogram': install,
+  'cicsdefinitiontransaction': install,
+  'cicsdefinitionurimap': install,
+  'cicsdefinitionwebservice': install,
+  'cicsdefinitionbundle': install,
+
+  'cicsprogram': {
+    ...enableStatus('status'),
+    NEWCOPY: record => ({
+      newcopycnt: increment(record.$.newcopycnt),
+      fetchcnt: increment(record.$.fetchcnt)
+    }),
+    PHASEIN: record => ({
+      newcopycnt: increment(record.$.newcopycnt),
+      fetchcnt: increment(record.$.fetchcnt)
+    })
+  },
+
+  'cicslocaltransaction': enableStatus('status'),
+
+  'cicsremotetransaction': enableStatus('status'),
+
+  'cicslocalfile': {
+    ENABLE: () => ({ enablestatus: 'ENABLED' }),
+    DISABLE: () => ({ enablestatus: 'DISABLED' }),
+    // Opening an unenabled file enables it again; closing an enabled file leaves it unenabled
+    OPEN: record => ({
+      openstatus: 'OPEN',
+      enablestatus: record.$.enablestatus === 'UNENABLED' ? 'ENABLED' : record.$.enablestatus
+    }),
+    CLOSE: record => ({
+      openstatus: 'CLOSED',
+      enablestatus: record.$.enablestatus === 'ENABLED' ? 'UNENABLED' : record.$.enablestatus
+    })
+  },
+
+  'cicsbundle': {
+    ENABLE: record => ({
+      enablestatus: 'ENABLED',
+      availstatus: 'AVAILABLE',
+      enabledcount: record.$.partcount || '0'
+    }),
+    DISABLE: () => ({
+      enablestatus: 'DISABLED',
+      availstatus: 'UNAVAILABLE',
+      enabledcount: '0'
+    }),
+    AVAILABLE: () => ({ availstatus: 'AVAILABLE' }),
+    UNAVAILABLE: () => ({ availstatus: 'UNAVAILABLE' })
+  },
+
+  'cicsjvmserver': {
+    ENABLE: () => ({ enablestatus: 'ENABLED' }),
+    DISABLE: () => ({ enablestatus: 'DISABLED', threadcount: '0' })
+  },
+
+  'cicsurimap': enableStatus('enablestatus'),
+
+  'cicspipeline': {
+    ...enableStatus('enablestatus'),
+    SCAN: () => ({})
+  },
+
+  'cicslibrary': enableStatus('enablestatus'),
+
+  'cicstcpipservice': {
+    OPEN: () => ({ openstatus: 'OPEN' }),
+    CLOSE: () => ({ openstatus: 'CLOSED', connections: '0' }),
+    IMMCLOSE: () => ({ openstatus: 'CLOSED', connections: '0' })
+  },
+
+  // Purging a task ends it, so the task no longer exists afterwards
+  'cicstask': {
+    PURGE: () => null,
+    FORCEPURGE: () => null,
+    KILL: () => null
+  }
+};
+
+/**
+ * Build the refusal of an action with an INVREQ response
+ * The RESP2 values are mock-specific, not those CICS documents for the command
+ */
+function invalidRequest(eibresp2) {
+  return { ...findEibresp('INVREQ'), eibresp2: String(eibresp2) };
+}
+
+// Checks (record) => refusal or null for actions the region refuses in some states
+const ACTION_REFUSALS = {
+  'cicsprogram': {
+    // A new copy cannot be loaded while the program is in use, which is what PHASEIN is for
+    NEWCOPY: record => Number(record.$.rescount) > 0 ? invalidRequest(1) : null
+  },
+
+  'cicsbundle': {
+    // Only an enabled bundle can be made available
+    AVAILABLE: record => record.$.enablestatus !== 'ENABLED' ? invalidRequest(2) : null
+  },
+
+  'cicstask': {
+    // FORCEPURGE and KILL are for tasks PURGE cannot end
+    PURGE: record => record.$.purgeability === 'NOTPURGEABLE' ? invalidRequest(3) : null
+  }
+};
+
+/**
+ * Get the handler for an action on a resource type, or null if the action is not valid
+ */
+function getAction(resourceType, actionName) {
+  const actions = RESOURCE_ACTIONS[resourceType] || {};
+  const name = String(actionName || '').toUpperCase();
+
+  return Object.prototype.hasOwnProperty.call(actions, name) ? actions[name] : null;
+}
+
+/**
+ * Check whether the region refuses an action on a record in its current state
+ * Returns { eibresp, eibresp_alt, eibresp2 } for <feedback>, or null when the action may go ahead
+ */
+function getActionRefusal(resourceType, actionName, record) {
+  const check = ACTION_REFUSALS[resourceType]?.[String(actionName || '').toUpperCase()];
+  return check ? check(record) : null;
+}
+
+/**
+ * List the actions valid for a resource type
+ */
+function listActions(resourceType) {
+  return Object.keys(RESOURCE_ACTIONS[resourceType] || {});
+}
+
+/**
+ * Normalise the <parameter name="..." value="..."/> children of a parsed action into { NAME: value }
+ */
+function getActionParameters(action) {
+  const parameters = {};
+  const list = action.parameter === undefined ? [] : [].concat(action.parameter);
+
+  for (const parameter of list) {
+    if (parameter && parameter.name) {
+      parameters[String(parameter.name).toUpperCase()] = parameter.value === undefined ? '' : String(parameter.value);
+    }
+  }
+
+  return parameters;
+}
+
+module.exports = {
+  RESOURCE_ACTIONS,
+  getAction,
+  getActionRefusal,
+  listActions,
+  getActionParameters
+};
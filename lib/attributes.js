@@ -0,0 +1,221 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+/**
+ * Resource attribute tables
+ *
+ * Describes the attributes of each resource type: their names, in the order
+ * the mock generators produce them, which of them identify a record, which a
+ * create request must supply, how long their values may be and of which type
+ * they are. An attribute's 1-based position in its table is the identifier
+ * the mock reports in api_response2 when the attribute's value is rejected.
+ */
+
+const { GENERATORS } = require('./mock-data');
+const { KEY_ATTRIBUTES } = require('./resource-store');
+const { isDefinitionType } = require('./parameter');
+
+// Attributes a resource type has that its generator does not produce
+const EXTRA_ATTRIBUTES = {
+  definition: ['resgroup']
+};
+
+// Attributes a create request must supply beyond the key attributes
+const MANDATORY_ATTRIBUTES = {
+  'cicsdefinitionurimap': ['usage', 'path'],
+  'cicsdefinitionwebservice': ['pipeline', 'wsbind'],
+  'cicsdefinitionbundle': ['bundledir']
+};
+
+// Maximum value lengths, by resource type with defaults for all types
+const MAX_LENGTHS = {
+  default: { name: 8, csdgroup: 8, resgroup: 8, csdlist: 8, program: 8, tranid: 4, file: 8, group: 8 },
+  'cicsdefinitiontransaction': { name: 4 },
+  'cicsdefinitionwebservice': { name: 32 },
+  'cicswebservice': { name: 32 },
+  'cicsbundlepart': { bundlepart: 255 }
+};
+
+// Types of attribute values, which decide how ORDERBY sorts them
+const ATTRIBUTE_TYPES = {
+  NUMERIC: 'numeric',
+  TIMESTAMP: 'timestamp', // timestamps and time intervals
+  ENUMERATED: 'enumerated', // CVDA-style values, sorted in the order of their value list
+  CHARACTER: 'character'
+};
+
+const { NUMERIC, TIMESTAMP } = ATTRIBUTE_TYPES;
+const YES_NO = ['YES', 'NO'];
+
+// Value types of attributes, by resource type with defaults for definitions and for all types.
+// A list is an enumerated attribute's values in the order ORDERBY sorts them. Attributes not
+// listed are character.
+const VALUE_TYPES = {
+  default: {
+    // Counts, sizes and other numbers
+    addreqs: NUMERIC, applmajorver: NUMERIC, applminorver: NUMERIC, applmicrover: NUMERIC, backlog: NUMERIC,
+    basdefinever: NUMERIC, browsereqs: NUMERIC, bytesread: NUMERIC, byteswritten: NUMERIC, ccsid: NUMERIC,
+    closetimeout: NUMERIC, connections: NUMERIC, currentheap: NUMERIC, curtasks: NUMERIC, defver: NUMERIC,
+    deletereqs: NUMERIC, dsalimit: NUMERIC, dtimeout: NUMERIC, edsalimit: NUMERIC, enabledcount: NUMERIC,
+    fetchcnt: NUMERIC, indoubtmins: NUMERIC, initheap: NUMERIC, keylength: NUMERIC, keyposition: NUMERIC,
+    length: NUMERIC, lsrpoolid: NUMERIC, majorversion: NUMERIC, maxdata: NUMERIC, maxheap: NUMERIC,
+    maxtasks: NUMERIC, memlimit: NUMERIC, microversion: NUMERIC, minorversion: NUMERIC, mvstcb: NUMERIC,
+    newcopycnt: NUMERIC, numdsnames: NUMERIC, occupancy: NUMERIC, otstimeout: NUMERIC, partcount: NUMERIC,
+    peakconns: NUMERIC, peakheap: NUMERIC, peaktasks: NUMERIC, pid: NUMERIC, port: NUMERIC,
+    position: NUMERIC, priority: NUMERIC, progloadcnt: NUMERIC, ranking: NUMERIC, readreqs: NUMERIC,
+    recordsize: NUMERIC, removecnt: NUMERIC, rescount: NUMERIC, restartcount: NUMERIC, rplength: NUMERIC,
+    runaway: NUMERIC, searchpos: NUMERIC, socketclose: NUMERIC, storageviol: NUMERIC, strings: NUMERIC,
+    suspendtime: NUMERIC, suspendtimeinterval: NUMERIC, targetcount: NUMERIC, task: NUMERIC,
+    threadcount: NUMERIC, threadlimit: NUMERIC, threadwaits: NUMERIC, totalconns: NUMERIC, totaltasks: NUMERIC,
+    tranpriority: NUMERIC, twasize: NUMERIC, updatereqs: NUMERIC, urimapdisabledcount: NUMERIC,
+    urimapredirectcount: NUMERIC, urimapreferencecount: NUMERIC, usecount: NUMERIC, userpriority: NUMERIC,
+
+    // Timestamps and time intervals
+    changetime: TIMESTAMP, createtime: TIMESTAMP, definetime: TIMESTAMP, dispatchtime: TIMESTAMP,
+    fetchtime: TIMESTAMP, installtime: TIMESTAMP, starttime: TIMESTAMP, threadwaittime: TIMESTAMP,
+
+    // CVDAs
+    apist: ['CICSAPI', 'OPENAPI'],
+    availstatus: ['AVAILABLE', 'SOMEAVAILABLE', 'UNAVAILABLE'],
+    concurrency: ['QUASIRENT', 'THREADSAFE', 'REQUIRED'],
+    critical: ['CRITICAL', 'NONCRITICAL'],
+    dataloc: ['ANY', 'BELOW'],
+    delete: ['DELETABLE', 'NOTDELETABLE'],
+    enablestatus: ['ENABLED', 'ENABLING', 'DISABLED', 'DISABLING', 'UNENABLED', 'UNENABLING'],
+    execkey: ['USEREXECKEY', 'CICSEXECKEY'],
+    facilitytype: ['TERM', 'TASK', 'DEST', 'NONE'],
+    language: ['ASSEMBLER', 'C', 'COBOL', 'JAVA', 'LE370', 'PLI', 'NOTDEFINED'],
+    mode: ['PROVIDER', 'REQUESTER'],
+    openstatus: ['OPEN', 'OPENING', 'CLOSED', 'CLOSING'],
+    pgminterface: ['CHANNEL', 'COMMAREA', 'NOTAPPLIC'],
+    progtype: ['PROGRAM', 'MAPSET', 'PARTITIONSET'],
+    protocol: ['HTTP', 'ECI', 'IPIC', 'USER'],
+    purgeability: ['PURGEABLE', 'NOTPURGEABLE'],
+    recordformat: ['FIXED', 'F', 'VARIABLE', 'V'],
+    recovstatus: ['RECOVERABLE', 'NOTRECOVABLE'],
+    routing: ['STATIC', 'DYNAMIC'],
+    runstatus: ['RUNNING', 'DISPATCHABLE', 'SUSPENDED'],
+    runtime: ['LE370', 'NONLE370', 'JVM', 'XPLINK', 'UNKNOWN'],
+    scheme: ['HTTP', 'HTTPS'],
+    sosstatus: ['NOTSOS', 'SOS', 'SOSABOVE', 'SOSBELOW'],
+    startcode: ['TO', 'U', 'S', 'SD', 'QD'],
+    ssltype: ['NOSSL', 'SSL', 'CLIENTAUTH', 'ATTLSAWARE'],
+    startup: ['COLDSTART', 'WARMSTART', 'EMERGENCY', 'INITIAL'],
+    state: ['INSERVICE', 'DISCARDING', 'UNUSABLE'],
+    status: ['ENABLED', 'DISABLED'],
+    usage: ['SERVER', 'CLIENT', 'PIPELINE', 'ATOM', 'JVMSERVER'],
+    validationst: ['VALIDATION', 'NOVALIDATION'],
+    vsamtype: ['KSDS', 'ESDS', 'RRDS', 'VRDS']
+  },
+
+  definition: {
+    analyzer: YES_NO, cedf: YES_NO, cmdsec: YES_NO, confdata: YES_NO, dump: YES_NO, dynamic: YES_NO,
+    hotpool: YES_NO, isolate: YES_NO, jvm: YES_NO, reload: YES_NO, resident: YES_NO, ressec: YES_NO,
+    restart: YES_NO, routable: YES_NO, spurge: YES_NO, storageclear: YES_NO, tpurge: YES_NO, trace: YES_NO,
+    uselpacopy: YES_NO, validation: YES_NO, wait: YES_NO,
+    datalocation: ['ANY', 'BELOW'],
+    execkey: ['USER', 'CICS']
+  },
+
+  'cicscicsplex': {
+    botrsupd: NUMERIC, readrs: NUMERIC, toprsupd: NUMERIC, transitcnt: NUMERIC, updaters: NUMERIC,
+    status: ['ACTIVE', 'INACTIVE']
+  },
+
+  'cicsmanagedregion': {
+    botrsupd: NUMERIC, cicssamp: NUMERIC, connsamp: NUMERIC, dbxsamp: NUMERIC, filesamp: NUMERIC,
+    glblsamp: NUMERIC, jrnlsamp: NUMERIC, progsamp: NUMERIC, readrs: NUMERIC, retention: NUMERIC,
+    tdqsamp: NUMERIC, termsamp: NUMERIC,
+    cicsstate: ['ACTIVE', 'INACTIVE']
+  },
+
+  'cicsregion': {
+    cputime: NUMERIC,
+    cicsstatus: ['ACTIVE', 'INACTIVE']
+  },
+
+  'cicstask': {
+    cputime: TIMESTAMP
+  },
+
+  'cicstcpipservice': {
+    authenticate: ['NOAUTHENTIC', 'ASSERTED', 'AUTOMATIC', 'AUTOREGISTER', 'BASICAUTH', 'CERTIFICAUTH']
+  },
+
+  'cicsdefinitionprogram': {
+    usage: ['NORMAL', 'TRANSIENT']
+  }
+};
+
+/**
+ * List the attribute names of a resource type, or null when the mock does not describe it
+ */
+function getAttributeNames(resourceType) {
+  const generator = GENERATORS[resourceType];
+
+  if (!generator) {
+    return null;
+  }
+
+  const extras = EXTRA_ATTRIBUTES[isDefinitionType(resourceType) ? 'definition' : resourceType] || [];
+  return [...Object.keys(generator(0)), ...extras];
+}
+
+/**
+ * Get the identifier of an attribute (its 1-based position in the table), or null
+ */
+function getAttributeId(resourceType, attribute) {
+  const names = getAttributeNames(resourceType) || [];
+  const index = names.indexOf(attribute);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Get the attributes that identify a record of a resource type
+ */
+function getKeyAttributes(resourceType) {
+  return KEY_ATTRIBUTES[resourceType] || ['name'];
+}
+
+/**
+ * Get the attributes a create request must supply
+ * Definitions may be in a CSD group or a BAS resource group, so csdgroup is checked separately
+ */
+function getMandatoryAttributes(resourceType) {
+  const keys = getKeyAttributes(resourceType).filter(attribute => !(isDefinitionType(resourceType) && attribute === 'csdgroup'));
+  return [...keys, ...(MANDATORY_ATTRIBUTES[resourceType] || [])];
+}
+
+/**
+ * Get the maximum value length of an attribute, or null when it is not limited
+ */
+function getMaxLength(resourceType, attribute) {
+  return MAX_LENGTHS[resourceType]?.[attribute] ?? MAX_LENGTHS.default[attribute] ?? null;
+}
+
+/**
+ * Get the type of an attribute as { type, values }, values listing an enumerated attribute's
+ * values in order. Attributes VALUE_TYPES does not list are character.
+ */
+function getAttributeType(resourceType, attribute) {
+  const valueType = VALUE_TYPES[resourceType]?.[attribute] ??
+    (isDefinitionType(resourceType) ? VALUE_TYPES.definition[attribute] : undefined) ??
+    VALUE_TYPES.default[attribute] ??
+    ATTRIBUTE_TYPES.CHARACTER;
+
+  return Array.isArray(valueType)
+    ? { type: ATTRIBUTE_TYPES.ENUMERATED, values: valueType }
+    : { type: valueType };
+}
+
+module.exports = {
+  ATTRIBUTE_TYPES,
+  getAttributeNames,
+  getAttributeType,
+  getAttributeId,
+  getKeyAttributes,
+  getMandatoryAttributes,
+  getMaxLength
+};
@@ -0,0 +1,314 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+/**
+ * CMCI CRITERIA expressions
+ *
+ * Parses and evaluates the filter expressions passed in the CRITERIA query
+ * parameter, e.g. `PROGRAM=DFH* AND (STATUS=ENABLED OR USECOUNT>10)`.
+ *
+ * Supported syntax (as documented for CICSPlex SM):
+ * - attribute operator value, with operators =, <, >, ¬=, >=, <=, ¬<, ¬>
+ *   and their EQ, LT, GT, NE, GE, LE mnemonics
+ * - `*` (any number of characters) and `+` (exactly one character) wildcards
+ * - AND / OR (AND binds tighter) and parentheses
+ * - values containing blanks or operator characters in single quotes
+ */
+
+const OPERATOR_MNEMONICS = {
+  EQ: '=',
+  NE: '¬=',
+  LT: '<',
+  GT: '>',
+  LE: '<=',
+  GE: '>=',
+  NL: '¬<',
+  NG: '¬>'
+};
+
+const SYMBOLIC_OPERATORS = ['¬=', '¬<', '¬>', '>=', '<=', '=', '<', '>'];
+
+class CriteriaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CriteriaError';
+  }
+}
+
+/**
+ * Split a CRITERIA expression into tokens
+ */
+function tokenize(expression) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < expression.length) {
+    const char = expression[pos];
+
+    if (/\s/.test(char)) {
+      pos++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char, value: char, pos });
+      pos++;
+      continue;
+    }
+
+    const operator = SYMBOLIC_OPERATORS.find(op => expression.startsWith(op, pos));
+    if (operator) {
+      tokens.push({ type: 'op', value: operator, pos });
+      pos += operator.length;
+      continue;
+    }
+
+    if (char === '\'') {
+      // Quoted value - a doubled quote stands for a literal quote
+      let value = '';
+      let end = pos + 1;
+      while (true) {
+        if (end >= expression.length) {
+          throw new CriteriaError(`Unterminated quoted value at position ${pos + 1}`);
+        }
+        if (expression[end] === '\'') {
+          if (expression[end + 1] === '\'') {
+            value += '\'';
+            end += 2;
+            continue;
+          }
+          break;
+        }
+        value += expression[end];
+        end++;
+      }
+      tokens.push({ type: 'word', value, quoted: true, pos });
+      pos = end + 1;
+      continue;
+    }
+
+    const match = /^[^\s()=<>¬']+/.exec(expression.slice(pos));
+    if (!match) {
+      throw new CriteriaError(`Unexpected character '${char}' at position ${pos + 1}`);
+    }
+
+    tokens.push({ type: 'word', value: match[0], quoted: false, pos });
+    pos += match[0].length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive descent parser producing an expression tree:
+ *   { type: 'or' | 'and', left, right }
+ *   { type: 'compare', attribute, operator, value }
+ */
+class CriteriaParser {
+  constructor(expression) {
+    this.expression = expression;
+    this.tokens = tokenize(expression);
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  describe(token) {
+    return token ? `'${token.value}' at position ${token.pos + 1}` : 'end of expression';
+  }
+
+  isKeyword(token, keyword) {
+    return token && token.type === 'word' && !token.quoted && token.value.toUpperCase() === keyword;
+  }
+
+  parse() {
+    if (this.tokens.length === 0) {
+      throw new CriteriaError('CRITERIA expression is empty');
+    }
+
+    const tree = this.parseOr();
+    if (this.peek()) {
+      throw new CriteriaError(`Unexpected ${this.describe(this.peek())}`);
+    }
+
+    return tree;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isKeyword(this.peek(), 'OR')) {
+      this.next();
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseFactor();
+    while (this.isKeyword(this.peek(), 'AND')) {
+      this.next();
+      left = { type: 'and', left, right: this.parseFactor() };
+    }
+    return left;
+  }
+
+  parseFactor() {
+    const token = this.peek();
+
+    if (token && token.type === '(') {
+      this.next();
+      const inner = this.parseOr();
+      const closing = this.next();
+      if (!closing || closing.type !== ')') {
+        throw new CriteriaError(`Expected ')' but found ${this.describe(closing)}`);
+      }
+      return inner;
+    }
+
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const attribute = this.next();
+    if (!attribute || attribute.type !== 'word' || attribute.quoted || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(attribute.value)) {
+      throw new CriteriaError(`Expected an attribute name but found ${this.describe(attribute)}`);
+    }
+
+    const operatorToken = this.next();
+    let operator = null;
+    if (operatorToken && operatorToken.type === 'op') {
+      operator = operatorToken.value;
+    } else if (operatorToken && operatorToken.type === 'word' && !operatorToken.quoted) {
+      operator = OPERATOR_MNEMONICS[operatorToken.value.toUpperCase()] || null;
+    }
+    if (!operator) {
+      throw new CriteriaError(`Expected an operator after '${attribute.value}' but found ${this.describe(operatorToken)}`);
+    }
+
+    const value = this.next();
+    if (!value || value.type !== 'word') {
+      throw new CriteriaError(`Expected a value for '${attribute.value}' but found ${this.describe(value)}`);
+    }
+
+    return {
+      type: 'compare',
+      attribute: attribute.value.toLowerCase(),
+      operator,
+      value: value.value
+    };
+  }
+}
+
+/**
+ * Parse a CRITERIA expression
+ * Returns null when no expression was given, throws CriteriaError when it is malformed
+ */
+function parseCriteria(expression) {
+  if (expression === undefined || expression === null) {
+    return null;
+  }
+
+  if (Array.isArray(expression)) {
+    throw new CriteriaError('CRITERIA may only be specified once');
+  }
+
+  return new CriteriaParser(String(expression)).parse();
+}
+
+/**
+ * Convert a value containing * and + wildcards into a regular expression
+ */
+function wildcardToRegExp(pattern) {
+  const escaped = pattern.replace(/[.?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\+/g, '.')}$`, 's');
+}
+
+/**
+ * Compare two attribute values numerically when both are numbers, otherwise as strings
+ */
+function compareValues(actual, expected) {
+  const isNumeric = value => value.trim() !== '' && !isNaN(Number(value));
+
+  if (isNumeric(actual) && isNumeric(expected)) {
+    return Number(actual) - Number(expected);
+  }
+
+  if (actual < expected) return -1;
+  if (actual > expected) return 1;
+  return 0;
+}
+
+function evaluateComparison(node, record) {
+  const attributes = record.$ || {};
+  const actual = attributes[node.attribute] === undefined ? '' : String(attributes[node.attribute]);
+  const hasWildcard = /[*+]/.test(node.value);
+
+  switch (node.operator) {
+    case '=':
+      return hasWildcard ? wildcardToRegExp(node.value).test(actual) : actual === node.value;
+    case '¬=':
+      return hasWildcard ? !wildcardToRegExp(node.value).test(actual) : actual !== node.value;
+    case '<':
+      return compareValues(actual, node.value) < 0;
+    case '>':
+      return compareValues(actual, node.value) > 0;
+    case '<=':
+    case '¬>':
+      return compareValues(actual, node.value) <= 0;
+    case '>=':
+    case '¬<':
+      return compareValues(actual, node.value) >= 0;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate a parsed CRITERIA expression against a record
+ * A null expression matches every record
+ */
+function evaluateCriteria(tree, record) {
+  if (!tree) {
+    return true;
+  }
+
+  switch (tree.type) {
+    case 'or':
+      return evaluateCriteria(tree.left, record) || evaluateCriteria(tree.right, record);
+    case 'and':
+      return evaluateCriteria(tree.left, record) && evaluateCriteria(tree.right, record);
+    default:
+      return evaluateComparison(tree, record);
+  }
+}
+
+/**
+ * List the attribute names referenced by a parsed CRITERIA expression
+ */
+function getCriteriaAttributes(tree) {
+  if (!tree) {
+    return [];
+  }
+
+  if (tree.type === 'compare') {
+    return [tree.attribute];
+  }
+
+  return [...new Set([...getCriteriaAttributes(tree.left), ...getCriteriaAttributes(tree.right)])];
+}
+
+module.exports = {
+  CriteriaError,
+  parseCriteria,
+  evaluateCriteria,
+  getCriteriaAttributes,
+  wildcardToRegExp
+};
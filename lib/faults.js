@@ -0,0 +1,252 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+/**
+ * Fault injection rules
+ *
+ * Rules registered through /admin/faults make matching CMCI requests slow or
+ * fail. A rule is JSON of the form:
+ * {
+ *   "match": { "method": "GET", "resourceType": "CICSProgram", "context": "PLEX1", "scope": "REGION*", "user": "ADMINUSR" },
+ *   "latency": 2000,                    // or { "min": 100, "max": 2000 }
+ *   "error": { "type": "cmci", "api_response1": 1034, "api_response2": 0 },
+ *   "times": 3                          // fire 3 times then stop; omit to fire on every match
+ * }
+ *
+ * Omitted match fields match anything and may use the * and + wildcards.
+ * The error type is one of cmci, http ({ "status": 503 }), feedback,
+ * truncated, malformed or drop; a rule with only latency delays the normal
+ * response. api_response1 may be a code or a name such as BUSY.
+ *
+ * A feedback error makes the target regions refuse a PUT: records in regions
+ * matching `regions` (default: all) are left unchanged and reported in
+ * <feedback> with the given EXEC CICS response. Only PUT changes records in
+ * regions, so these rules must match method PUT, e.g.
+ *   { "type": "feedback", "eibresp": "INVREQ", "eibresp2": 3, "regions": "IYK2ZAI*" }
+ */
+
+const { wildcardToRegExp } = require('./criteria');
+const { findResponse, findEibresp } = require('./responses');
+
+const MATCH_FIELDS = ['method', 'resourceType', 'context', 'scope', 'user'];
+
+const ERROR_TYPES = ['cmci', 'http', 'feedback', 'truncated', 'malformed', 'drop'];
+
+class FaultError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FaultError';
+  }
+}
+
+/**
+ * Check a value is a non-negative whole number
+ */
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Validate the latency of a rule, given as milliseconds or { min, max }
+ */
+function normalizeLatency(latency) {
+  if (latency === undefined || latency === null) {
+    return null;
+  }
+
+  if (isCount(latency)) {
+    return { min: latency, max: latency };
+  }
+
+  if (typeof latency === 'object' && isCount(latency.min) && isCount(latency.max) && latency.min <= latency.max) {
+    return { min: latency.min, max: latency.max };
+  }
+
+  throw new FaultError('latency must be a number of milliseconds or { "min": ms, "max": ms } with min <= max');
+}
+
+/**
+ * Validate the error a rule injects
+ */
+function normalizeError(error) {
+  if (error === undefined || error === null) {
+    return null;
+  }
+
+  const type = String(error.type || '').toLowerCase();
+  if (!ERROR_TYPES.includes(type)) {
+    throw new FaultError(`error.type must be one of ${ERROR_TYPES.join(', ')}`);
+  }
+
+  switch (type) {
+    case 'cmci': {
+      const response = findResponse(error.api_response1);
+      const response1 = response ? Number(response.code) : Number(error.api_response1);
+      const status = error.status === undefined ? null : Number(error.status);
+      if (!isCount(response1)) {
+        throw new FaultError('error.api_response1 is required for cmci errors, as a code or a response name');
+      }
+      if (status !== null && (!isCount(status) || status < 200 || status > 599)) {
+        throw new FaultError('error.status must be an HTTP status between 200 and 599');
+      }
+      return {
+        type,
+        api_response1: String(response1),
+        api_response2: String(error.api_response2 ?? 0),
+        api_response1_alt: error.api_response1_alt ?? response?.name ?? null,
+        api_response2_alt: error.api_response2_alt ?? '',
+        status
+      };
+    }
+
+    case 'http': {
+      const status = Number(error.status ?? 500);
+      if (!isCount(status) || status < 400 || status > 599) {
+        throw new FaultError('error.status must be an HTTP error status between 400 and 599');
+      }
+      return { type, status };
+    }
+
+    case 'feedback': {
+      const eibresp = findEibresp(error.eibresp ?? 'INVREQ');
+      const eibresp2 = Number(error.eibresp2 ?? 0);
+      if (!eibresp) {
+        throw new FaultError('error.eibresp must be an EXEC CICS RESP name or value, such as INVREQ or 16');
+      }
+      if (!isCount(eibresp2)) {
+        throw new FaultError('error.eibresp2 must be a non-negative whole number');
+      }
+      return {
+        type,
+        ...eibresp,
+        eibresp2: String(eibresp2),
+        regions: error.regions ? String(error.regions).toUpperCase() : '*'
+      };
+    }
+
+    default:
+      return { type };
+  }
+}
+
+class FaultRegistry {
+  constructor() {
+    this.rules = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Validate and register a rule, returning it
+   */
+  add(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new FaultError('Fault rule must be a JSON object');
+    }
+
+    const match = {};
+    for (const field of MATCH_FIELDS) {
+      const value = config.match?.[field];
+      if (value !== undefined && value !== null && value !== '') {
+        match[field] = String(value).toUpperCase();
+      }
+    }
+
+    const latency = normalizeLatency(config.latency);
+    const error = normalizeError(config.error);
+
+    if (!latency && !error) {
+      throw new FaultError('Fault rule must inject latency, an error or both');
+    }
+
+    if (error?.type === 'feedback' && match.method !== 'PUT') {
+      throw new FaultError('feedback errors only apply to PUT, set match.method to PUT');
+    }
+
+    if (config.times !== undefined && (!isCount(config.times) || config.times === 0)) {
+      throw new FaultError('times must be a positive whole number');
+    }
+
+    const rule = {
+      id: String(this.nextId++),
+      match,
+      latency,
+      error,
+      times: config.times ?? null,
+      fired: 0,
+      createdAt: new Date().toISOString()
+    };
+
+    this.rules.push(rule);
+    return rule;
+  }
+
+  list() {
+    return this.rules.map(rule => ({
+      ...rule,
+      exhausted: this.isExhausted(rule)
+    }));
+  }
+
+  remove(id) {
+    const before = this.rules.length;
+    this.rules = this.rules.filter(rule => rule.id !== String(id));
+    return this.rules.length < before;
+  }
+
+  clear() {
+    const count = this.rules.length;
+    this.rules = [];
+    return count;
+  }
+
+  isExhausted(rule) {
+    return rule.times !== null && rule.fired >= rule.times;
+  }
+
+  /**
+   * Find the first active rule matching a request and count it as fired
+   * `request` holds the method, resourceType, context, scope and user of the request
+   */
+  fire(request) {
+    const rule = this.rules.find(candidate => !this.isExhausted(candidate) &&
+      Object.entries(candidate.match).every(([field, pattern]) =>
+        wildcardToRegExp(pattern).test(String(request[field] || '').toUpperCase())));
+
+    if (rule) {
+      rule.fired++;
+    }
+
+    return rule || null;
+  }
+}
+
+/**
+ * Pick the delay in milliseconds for a rule's latency from a MockRandom
+ */
+function pickLatency(latency, random) {
+  return random.int('latency', latency.min, latency.max);
+}
+
+/**
+ * Corrupt a response body for the truncated and malformed error types
+ * Truncated bodies stop halfway through; malformed bodies have a mismatched closing tag
+ */
+function corruptBody(type, body) {
+  if (type === 'truncated') {
+    return body.slice(0, Math.floor(body.length / 2));
+  }
+
+  return body.includes('</response>')
+    ? body.replace('</response>', '</respons>')
+    : `${body}<`;
+}
+
+module.exports = {
+  ERROR_TYPES,
+  FaultError,
+  FaultRegistry,
+  pickLatency,
+  corruptBody
+};
@@ -0,0 +1,204 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+/**
+ * Fixture files
+ *
+ * Seeds the mock with a known CICS estate from a directory of JSON or YAML
+ * files, read in file name order. Each file may describe the topology (in the
+ * same form as a topology file) and the resources held in each region:
+ *
+ * defaultContext: PLEX1
+ * plexes:
+ *   - name: PLEX1
+ *     regions: [REGION1, REGION2]
+ * generate: false          # leave groups without fixtures empty instead of generating records
+ * resources:
+ *   - type: CICSProgram
+ *     region: REGION1      # context defaults to the CICSplex holding the region
+ *     records:
+ *       - { program: MYPROG, status: ENABLED }
+ *
+ * A group of records given by a fixture replaces the generated records for
+ * that resource type, context and region.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { GENERATORS } = require('./mock-data');
+const { KEY_ATTRIBUTES } = require('./resource-store');
+
+const FIXTURE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Topology keys a fixture file may carry
+const TOPOLOGY_KEYS = ['defaultContext', 'plexes', 'smssRegions'];
+
+class FixtureError extends Error {
+  constructor(file, message) {
+    super(`${file}: ${message}`);
+    this.name = 'FixtureError';
+    this.file = file;
+  }
+}
+
+/**
+ * Parse a single fixture file
+ */
+function readFixtureFile(filePath) {
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const content = path.extname(filePath) === '.json' ? JSON.parse(text) : yaml.load(text);
+    return content || {};
+  } catch (error) {
+    throw new FixtureError(path.basename(filePath), error.message);
+  }
+}
+
+/**
+ * Read every fixture file in a directory and merge them
+ * Returns { files, topology, generate, resources: [{ file, type, context, region, records }] }
+ * where topology is null when no file describes one
+ */
+function loadFixtures(directory) {
+  if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+    throw new FixtureError(directory, 'fixture directory does not exist');
+  }
+
+  const files = fs.readdirSync(directory)
+    .filter(name => FIXTURE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+    .sort();
+
+  const fixtures = { files, topology: null, generate: true, resources: [] };
+
+  for (const file of files) {
+    const content = readFixtureFile(path.join(directory, file));
+
+    if (typeof content !== 'object' || Array.isArray(content)) {
+      throw new FixtureError(file, 'expected an object at the top level');
+    }
+
+    // Plexes and SMSS regions from later files are added to those from earlier ones
+    if (TOPOLOGY_KEYS.some(key => content[key] !== undefined)) {
+      fixtures.topology = fixtures.topology || { plexes: [], smssRegions: [] };
+      fixtures.topology.plexes.push(...(content.plexes || []));
+      fixtures.topology.smssRegions.push(...(content.smssRegions || []));
+      if (content.defaultContext) {
+        fixtures.topology.defaultContext = content.defaultContext;
+      }
+    }
+
+    if (content.generate === false) {
+      fixtures.generate = false;
+    }
+
+    if (content.resources !== undefined && !Array.isArray(content.resources)) {
+      throw new FixtureError(file, 'resources must be a list');
+    }
+
+    for (const [i, group] of (content.resources || []).entries()) {
+      if (!group || !group.type) {
+        throw new FixtureError(file, `resources[${i}] has no type`);
+      }
+      if (!Array.isArray(group.records)) {
+        throw new FixtureError(file, `resources[${i}] (${group.type}) must have a list of records`);
+      }
+
+      const type = String(group.type).toLowerCase();
+      if (!GENERATORS[type] && !KEY_ATTRIBUTES[type]) {
+        throw new FixtureError(file, `resources[${i}] has unknown type ${group.type}`);
+      }
+
+      fixtures.resources.push({
+        file,
+        type,
+        context: group.context ? String(group.context).toUpperCase() : null,
+        region: group.region ? String(group.region).toUpperCase() : null,
+        records: group.records
+      });
+    }
+  }
+
+  return fixtures;
+}
+
+/**
+ * Work out the context of a fixture group from its region when it is not given
+ */
+function resolveGroupContext(group, topology) {
+  if (group.context) {
+    if (!topology.findPlex(group.context) && !topology.findSmssRegion(group.context)) {
+      throw new FixtureError(group.file, `context ${group.context} is not a known CICSplex or region`);
+    }
+    return group.context;
+  }
+
+  if (group.region) {
+    const plex = topology.plexes.find(candidate => candidate.regions.some(region => region.name === group.region));
+    const smssRegion = topology.findSmssRegion(group.region);
+    if (plex || smssRegion) {
+      return plex ? plex.name : smssRegion.name;
+    }
+  }
+
+  if (!topology.defaultContext) {
+    throw new FixtureError(group.file, `${group.type} records need a context`);
+  }
+  return topology.defaultContext;
+}
+
+/**
+ * Load fixture resources into a resource store
+ * Every group is checked against the topology before the store is changed.
+ * Returns the number of records loaded.
+ */
+function applyFixtures(fixtures, topology, store) {
+  const groups = fixtures.resources.map(group => {
+    const context = resolveGroupContext(group, topology);
+
+    if (group.region && !topology.findRegion(group.region)) {
+      throw new FixtureError(group.file, `region ${group.region} is not defined in the topology`);
+    }
+
+    const records = group.records.map((attributes, i) => {
+      if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+        throw new FixtureError(group.file, `${group.type} record ${i} must be an object of attributes`);
+      }
+      // CMCI attribute values are always strings
+      return Object.fromEntries(Object.entries(attributes).map(([name, value]) =>
+        [name.toLowerCase(), value === null ? '' : String(value)]));
+    });
+
+    return { ...group, context, region: group.region || '', records };
+  });
+
+  const keys = new Set();
+  for (const group of groups) {
+    for (const record of group.records) {
+      const key = store.recordKey(group.type, record);
+      const fullKey = `${store.groupKey(group.type, group.context, group.region)}|${key}`;
+      if (!key.startsWith('_keydata:') && keys.has(fullKey)) {
+        throw new FixtureError(group.file, `duplicate ${group.type} record ${key} in ${group.context}/${group.region}`);
+      }
+      keys.add(fullKey);
+    }
+  }
+
+  store.clear();
+  store.generating = fixtures.generate;
+
+  let recordCount = 0;
+  for (const group of groups) {
+    recordCount += store.load(group.type, group.context, group.region, group.records).length;
+  }
+
+  return recordCount;
+}
+
+module.exports = {
+  FixtureError,
+  loadFixtures,
+  applyFixtures
+};
@@ -0,0 +1,229 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+/**
+ * CSD definition INSTALL
+ *
+ * Maps each CSD definition type to the installed resource type it creates
+ * when a client performs <action name="INSTALL"/> (or CSDINSTALL) on it, how
+ * the installed attributes are derived from the definition, and when an
+ * existing installed resource is in use and so cannot be replaced.
+ */
+
+const { GENERATORS } = require('./mock-data');
+const { findEibresp } = require('./responses');
+
+const INSTALL_ACTIONS = ['INSTALL', 'CSDINSTALL'];
+
+// Response reported in <feedback> for a region whose installed resource is in use; the RESP2 is mock-specific
+const IN_USE_REFUSAL = { ...findEibresp('INVREQ'), eibresp2: '4', eibfn_alt: 'CSD INSTALL' };
+
+/**
+ * Format a time like the CMCI timestamp attributes
+ */
+function formatTimestamp(date) {
+  return `${date.toISOString().slice(0, 19)}.000000+00:00`;
+}
+
+/**
+ * Map a YES/NO definition attribute to an installed resource CVDA
+ */
+function yesNo(value, yes, no) {
+  return String(value || '').toUpperCase() === 'YES' ? yes : no;
+}
+
+const INSTALL_TARGETS = {
+  'cicsdefinitionprogram': {
+    resourceType: 'cicsprogram',
+    attributes: definition => ({
+      program: definition.name,
+      language: definition.language || 'NOTDEFINED',
+      status: definition.status || 'ENABLED',
+      cedfstatus: yesNo(definition.cedf, 'CEDF', 'NOCEDF'),
+      concurrency: definition.concurrency || 'QUASIRENT',
+      apist: definition.api || 'CICSAPI',
+      dataloc: definition.datalocation || 'ANY',
+      execkey: String(definition.execkey).toUpperCase() === 'CICS' ? 'CICSEXECKEY' : 'USEREXECKEY',
+      executionset: definition.executionset || 'FULLAPI',
+      dynamstatus: yesNo(definition.dynamic, 'DYNAMIC', 'NOTDYNAMIC'),
+      remotesystem: definition.remotesystem || '',
+      remotename: definition.remotename || '',
+      transid: definition.transid || '',
+      jvmclass: definition.jvmclass || '',
+      jvmserver: definition.jvmserver || '',
+      runtime: yesNo(definition.jvm, 'JVM', 'UNKNOWN'),
+      sharestatus: yesNo(definition.uselpacopy, 'SHARED', 'PRIVATE'),
+      lpastat: 'NOTLPA',
+      holdstatus: 'NOTAPPLIC',
+      copy: 'NOTREQUIRED',
+      usecount: '0',
+      fetchcnt: '0',
+      newcopycnt: '0',
+      rescount: '0'
+    }),
+    // A program cannot be replaced while it has current users
+    inUse: installed => parseInt(installed.$.rescount, 10) > 0
+  },
+
+  'cicsdefinitiontransaction': {
+    resourceType: 'cicslocaltransaction',
+    attributes: definition => ({
+      tranid: definition.name,
+      program: definition.program || '',
+      status: definition.status || 'ENABLED',
+      availstatus: (definition.status || 'ENABLED') === 'ENABLED' ? 'AVAILABLE' : 'UNAVAILABLE',
+      priority: definition.priority || '1',
+      tranclass: definition.tranclass || 'DFHTCL00',
+      twasize: definition.twasize || '0',
+      profile: definition.profile || 'DFHCICST',
+      purgeability: yesNo(definition.spurge, 'PURGEABLE', 'NOTPURGEABLE'),
+      taskdatakey: definition.taskdatakey || 'USER',
+      taskdataloc: definition.taskdataloc || 'ANY',
+      isolatest: yesNo(definition.isolate, 'ISOLATE', 'NOISOLATE'),
+      storageclear: yesNo(definition.storageclear, 'CLEAR', 'NOCLEAR'),
+      dumping: yesNo(definition.dump, 'TRANDUMP', 'NOTRANDUMP'),
+      tracing: yesNo(definition.trace, 'TRACE', 'SPECTRACE'),
+      cmdsec: yesNo(definition.cmdsec, 'CMDSECYES', 'CMDSECNO'),
+      ressec: yesNo(definition.ressec, 'RESSECYES', 'RESSECNO'),
+      routing: yesNo(definition.dynamic, 'DYNAMIC', 'STATIC'),
+      routestatus: yesNo(definition.routable, 'ROUTABLE', 'NOTROUTABLE'),
+      shutdown: definition.shutdown || 'DISABLED',
+      remotesystem: definition.remotesystem || '',
+      remotename: definition.remotename || '',
+      trprof: definition.trprof || '',
+      brexit: definition.brexit || '',
+      usecount: '0'
+    }),
+    // A transaction cannot be replaced while tasks are running it
+    inUse: (installed, { tasks }) => tasks.some(task => task.$.tranid === installed.$.tranid)
+  },
+
+  'cicsdefinitionurimap': {
+    resourceType: 'cicsurimap',
+    attributes: definition => ({
+      name: definition.name,
+      enablestatus: definition.status || 'ENABLED',
+      usage: definition.usage || 'SERVER',
+      scheme: definition.scheme || 'HTTP',
+      host: definition.host || '*',
+      path: definition.path || '/',
+      port: /^\d+$/.test(String(definition.port)) ? String(definition.port) : '0',
+      tcpipservice: definition.tcpipservice || '',
+      program: definition.program || '',
+      transaction: definition.transaction || '',
+      pipeline: definition.pipeline || '',
+      webservice: definition.webservice || '',
+      converter: definition.converter || '',
+      analyzerstat: yesNo(definition.analyzer, 'ANALYZER', 'NOANALYZER'),
+      redirecttype: definition.redirecttype || 'NONE',
+      location: definition.location || '',
+      mediatype: definition.mediatype || '',
+      charset: definition.characterset || '',
+      hostcodepage: definition.hostcodepage || '',
+      templatename: definition.templatename || '',
+      hfsfile: definition.hfsfile || '',
+      atomservice: definition.atomservice || '',
+      certificate: definition.certificate || '',
+      ciphers: definition.ciphers || '',
+      authenticate: definition.authenticate || 'NO',
+      userid: definition.userid || '',
+      urimapreferencecount: '0',
+      urimapredirectcount: '0',
+      urimapdisabledcount: '0'
+    }),
+    // A URI map must be disabled before it can be replaced
+    inUse: installed => installed.$.enablestatus === 'ENABLED'
+  },
+
+  'cicsdefinitionwebservice': {
+    resourceType: 'cicswebservice',
+    attributes: definition => ({
+      name: definition.name,
+      state: 'INSERVICE',
+      pipeline: definition.pipeline || '',
+      wsbind: definition.wsbind || '',
+      wsdlfile: definition.wsdlfile || '',
+      archivefile: definition.archivefile || '',
+      validationst: yesNo(definition.validation, 'VALIDATION', 'NOVALIDATION'),
+      xopdirectst: 'NOXOPDIRECT',
+      xopsupportst: 'NOXOPSUPPORT',
+      usecount: '0'
+    }),
+    inUse: installed => installed.$.state === 'INSERVICE'
+  },
+
+  'cicsdefinitionbundle': {
+    resourceType: 'cicsbundle',
+    attributes: definition => {
+      const enabled = (definition.status || 'ENABLED') === 'ENABLED';
+      return {
+        name: definition.name,
+        bundledir: definition.bundledir || '',
+        basescope: definition.basescope || '',
+        enablestatus: enabled ? 'ENABLED' : 'DISABLED',
+        availstatus: enabled ? 'AVAILABLE' : 'UNAVAILABLE',
+        enabledcount: enabled ? '2' : '0'
+      };
+    },
+    // An enabled bundle must be disabled before it can be installed again
+    inUse: installed => installed.$.enablestatus === 'ENABLED'
+  }
+};
+
+/**
+ * Check whether an action name installs a definition
+ */
+function isInstallAction(resourceType, actionName) {
+  return Boolean(INSTALL_TARGETS[resourceType]) && INSTALL_ACTIONS.includes(String(actionName || '').toUpperCase());
+}
+
+/**
+ * Get the installed resource type created from a definition type, or null
+ */
+function getInstallTarget(resourceType) {
+  return INSTALL_TARGETS[resourceType]?.resourceType || null;
+}
+
+/**
+ * Build the attributes of the resource installed from a definition record
+ * Every state attribute is set by INSTALL_TARGETS; only descriptive attributes the definition
+ * does not determine come from the mock generator
+ */
+function buildInstalledAttributes(resourceType, definition, installedAt = new Date()) {
+  const target = INSTALL_TARGETS[resourceType];
+  const template = GENERATORS[target.resourceType](0);
+  const installTime = formatTimestamp(installedAt);
+
+  return {
+    ...template,
+    ...target.attributes(definition.$),
+    basdefinever: '0',
+    changeagent: 'CSDAPI',
+    changetime: definition.$.changetime || installTime,
+    changeusrid: definition.$.changeusrid || '',
+    definesource: definition.$.csdgroup || '',
+    definetime: definition.$.createtime || installTime,
+    installagent: 'CSDAPI',
+    installtime: installTime
+  };
+}
+
+/**
+ * Check whether an installed resource is in use and so cannot be replaced by an INSTALL
+ * `context.tasks` lists the tasks running in the installed resource's region
+ */
+function isInstalledResourceInUse(resourceType, installed, context) {
+  return INSTALL_TARGETS[resourceType].inUse(installed, context);
+}
+
+module.exports = {
+  INSTALL_ACTIONS,
+  IN_USE_REFUSAL,
+  INSTALL_TARGETS,
+  isInstallAction,
+  getInstallTarget,
+  buildInstalledAttributes,
+  isInstalledResourceInUse
+};
@@ -0,0 +1,752 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+/**
+ * Mock record generators
+ *
+ * One generator per CMCI resource type, producing records with the attribute
+ * names and value domains returned by a real CMCI server. Values vary with the
+ * record index so lists, filters and sorting have something to work with, but
+ * the same index always produces the same attributes.
+ */
+
+const { MockRandom } = require('./random');
+
+const BASE_TIME = Date.UTC(2025, 0, 6, 8, 0, 0);
+
+/**
+ * Pick a value from a list, cycling by index
+ */
+function pick(values, i) {
+  return values[i % values.length];
+}
+
+/**
+ * Zero-pad a number to a fixed width
+ */
+function pad(value, width) {
+  return String(value).padStart(width, '0');
+}
+
+/**
+ * Format a CMCI timestamp (e.g. 2025-01-06T08:00:00.000000+00:00), hours before the base time
+ */
+function timestamp(hoursAgo = 0) {
+  const date = new Date(BASE_TIME - hoursAgo * 60 * 60 * 1000);
+  return `${date.toISOString().slice(0, 19)}.000000+00:00`;
+}
+
+/**
+ * Generate the _keydata value of a record, named by its group and index so a seed gives it the same value every run
+ */
+function keydata(random, name, bytes = 8) {
+  return random.derive(`keydata/${name}`, bytes).toString('hex').toUpperCase();
+}
+
+/**
+ * Attributes shared by installed resources that record how they were installed
+ */
+function installAttributes(i, csdgroup = 'MOCKGRP1') {
+  return {
+    basdefinever: '0',
+    changeagent: pick(['CSDAPI', 'CSDBATCH', 'DREPAPI'], i),
+    changeagrel: '0740',
+    changetime: timestamp(48 + i),
+    changeusrid: 'ADMINUSR',
+    definesource: csdgroup,
+    definetime: timestamp(72 + i),
+    installagent: pick(['GRPLIST', 'CSDAPI', 'BUNDLE'], i),
+    installtime: timestamp(24 + i),
+    installusrid: 'CICSUSER'
+  };
+}
+
+/**
+ * Attributes shared by CSD definitions
+ */
+function definitionAttributes(i, name, description) {
+  return {
+    name,
+    csdgroup: `MOCKGRP${(i % 2) + 1}`,
+    description,
+    changeagent: pick(['CSDAPI', 'CSDBATCH'], i),
+    changeagrel: '0740',
+    changetime: timestamp(48 + i),
+    changeusrid: 'ADMINUSR',
+    createtime: timestamp(720 + i),
+    defver: '0',
+    userdata1: '',
+    userdata2: '',
+    userdata3: ''
+  };
+}
+
+const programName = i => `PROG${pad(i + 1, 3)}`;
+const transactionId = i => `T${pad(i + 1, 3)}`;
+
+// Attributes of record i of each resource type; { random, group } name values drawn like _keydata
+const GENERATORS = {
+  'cicsmanagedregion': i => ({
+    actvtime: '',
+    ainsfail: 'CONTINUE',
+    applid: `REGION${i + 1}`,
+    autoinst: 'NEVER',
+    bastrace: '00000000',
+    botrsupd: '1',
+    chetrace: '00000000',
+    cicsname: `REGION${i + 1}`,
+    cicssamp: '0',
+    cicsstate: 'ACTIVE',
+    cmasname: 'MYCMAS',
+    comtrace: '00000000',
+    connsamp: '0',
+    cpsmver: '0620',
+    dattrace: '00000000',
+    daylghtsv: 'NO',
+    dbxsamp: '0',
+    desc: `Mock region ${i + 1}`,
+    filesamp: '0',
+    glblsamp: '0',
+    host: '',
+    jrnlsamp: '0',
+    knltrace: '00000000',
+    mastrace: '00000000',
+    mastype: 'LOCAL',
+    monstatus: 'NO',
+    msgtrace: '00000000',
+    mxtaction: '',
+    mxtsev: 'HS',
+    networkid: '',
+    nrmaction: '',
+    nrmsev: 'N_A',
+    port: '',
+    pricmas: '',
+    progsamp: '0',
+    quetrace: '00000000',
+    readrs: '200',
+    retention: '0',
+    rtastatus: 'SAM',
+    rtatrace: '00000000',
+    samaction: '',
+    samsev: 'VHS',
+    sdmaction: '',
+    sdmsev: 'VHS',
+    secbypass: 'NO',
+    seccmdchk: 'NO',
+    secreschk: 'NO',
+    sosaction: '',
+    sossev: 'HS',
+    srvtrace: '00000000',
+    stlaction: '',
+    stlsev: 'VHS',
+    tdmaction: '',
+    tdmsev: 'HW',
+    tdqsamp: '0',
+    termsamp: '0',
+    tmezone: 'Z'
+  }),
+
+  'cicscicsplex': i => ({
+    accesstype: 'LOCAL',
+    botrsupd: '1',
+    cmasname: 'REGION1',
+    mpstatus: 'YES',
+    plexname: `PLEX${i + 1}`,
+    readrs: '200',
+    rspoolid: 'DFHRSTAT',
+    status: 'ACTIVE',
+    sysid: 'EPCM',
+    toprsupd: '5',
+    transitcmas: '',
+    transitcnt: '0',
+    updaters: '15'
+  }),
+
+  'cicsregion': i => ({
+    applid: `REGION${i + 1}`,
+    jobname: `REGION${i + 1}`,
+    stepname: 'CICS',
+    sysid: `R${pad(i + 1, 3)}`,
+    cicstslevel: '060200',
+    release: '0740',
+    opsys: 'X',
+    oslevel: '030100',
+    cicsstatus: 'ACTIVE',
+    startup: pick(['WARMSTART', 'COLDSTART', 'EMERGENCY'], i),
+    starttime: timestamp(96 + i),
+    jobid: `JOB${pad(10000 + i, 5)}`,
+    maxtasks: '250',
+    curtasks: String(3 + (i % 12)),
+    peaktasks: String(40 + (i % 30)),
+    totaltasks: String(1500 + i * 37),
+    cputime: String(12000 + i * 311),
+    dsalimit: '7340032',
+    edsalimit: '1073741824',
+    memlimit: '10737418240',
+    sosstatus: 'NOTSOS',
+    mvstcb: '0',
+    securitymgr: 'EXTSECURITY',
+    dfltuser: 'CICSUSER',
+    dumping: 'SYSDUMP',
+    progautoinst: 'AUTOINACTIVE',
+    shutdownst: 'NOTSHUTDOWN',
+    tracing: 'SYSTRACE',
+    xrfstatus: 'NOXRF'
+  }),
+
+  'cicsregiongroup': i => ({
+    group: `RGROUP${i + 1}`,
+    desc: `Mock region group ${i + 1}`,
+    changeagent: 'CSDAPI',
+    changetime: timestamp(200 + i),
+    changeusrid: 'ADMINUSR',
+    createtime: timestamp(2000 + i)
+  }),
+
+  'cicsprogram': i => ({
+    program: programName(i),
+    language: pick(['COBOL', 'ASSEMBLER', 'LE370', 'C', 'PLI', 'JAVA'], i),
+    progtype: pick(['PROGRAM', 'PROGRAM', 'PROGRAM', 'MAPSET'], i),
+    status: pick(['ENABLED', 'ENABLED', 'ENABLED', 'DISABLED'], i),
+    length: String(1024 + ((i * 7919) % 65536)),
+    rplength: String(1024 + ((i * 7919) % 65536)),
+    usecount: String((i * 37) % 500),
+    fetchcnt: String((i * 3) % 40),
+    fetchtime: `00:00:00.${pad((i * 13) % 1000, 6)}`,
+    newcopycnt: String(i % 5),
+    removecnt: '0',
+    rescount: '0',
+    cedfstatus: 'CEDF',
+    concurrency: pick(['QUASIRENT', 'THREADSAFE', 'REQUIRED'], i),
+    apist: pick(['CICSAPI', 'OPENAPI'], i),
+    dataloc: pick(['ANY', 'BELOW'], i),
+    execkey: pick(['USEREXECKEY', 'CICSEXECKEY'], i),
+    executionset: 'FULLAPI',
+    runtime: pick(['LE370', 'NONLE370', 'LE370', 'UNKNOWN', 'LE370', 'JVM'], i),
+    holdstatus: 'NOTAPPLIC',
+    lpastat: 'NOTLPA',
+    sharestatus: 'PRIVATE',
+    copy: 'NOTREQUIRED',
+    library: 'DFHRPL',
+    librarydsn: 'CICS.USER.LOADLIB',
+    entrypoint: `1${pad(((i * 4096) % 0xFFFFFF).toString(16).toUpperCase(), 7)}`,
+    loadpoint: `1${pad(((i * 4096) % 0xFFFFFF).toString(16).toUpperCase(), 7)}`,
+    remotename: '',
+    remotesystem: '',
+    transid: '',
+    jvmclass: '',
+    jvmserver: '',
+    dynamstatus: 'NOTDYNAMIC',
+    platform: '',
+    application: '',
+    applmajorver: '-1',
+    applminorver: '-1',
+    applmicrover: '-1',
+    operation: '',
+    ...installAttributes(i)
+  }),
+
+  'cicslocaltransaction': i => ({
+    tranid: transactionId(i),
+    program: programName(i),
+    status: pick(['ENABLED', 'ENABLED', 'ENABLED', 'DISABLED'], i),
+    availstatus: 'AVAILABLE',
+    usecount: String((i * 53) % 1000),
+    priority: String((i * 10) % 256),
+    tranclass: pick(['DFHTCL00', 'DFHTCL01'], i),
+    twasize: String((i % 4) * 128),
+    profile: 'DFHCICST',
+    purgeability: pick(['PURGEABLE', 'NOTPURGEABLE'], i),
+    runaway: '0',
+    runawaytype: 'SYSTEM',
+    dtimeout: '0',
+    indoubt: 'BACKOUT',
+    indoubtwait: 'WAIT',
+    indoubtmins: '0',
+    cmdsec: 'CMDSECNO',
+    ressec: 'RESSECNO',
+    storageclear: 'NOCLEAR',
+    taskdatakey: 'USER',
+    taskdataloc: 'ANY',
+    isolatest: 'ISOLATE',
+    dumping: 'TRANDUMP',
+    tracing: 'TRACE',
+    restartcount: '0',
+    routing: 'STATIC',
+    routestatus: 'NOTROUTABLE',
+    facilitylike: '',
+    scrnsize: 'DEFAULT',
+    shutdown: 'DISABLED',
+    storageviol: '0',
+    otstimeout: '0',
+    remotename: '',
+    remotesystem: '',
+    trprof: '',
+    brexit: '',
+    platform: '',
+    application: '',
+    operation: '',
+    ...installAttributes(i)
+  }),
+
+  'cicsremotetransaction': i => ({
+    tranid: `R${pad(i + 1, 3)}`,
+    remotename: transactionId(i),
+    remotesystem: pick(['CSYS', 'RSYS'], i),
+    status: 'ENABLED',
+    availstatus: 'AVAILABLE',
+    usecount: String((i * 17) % 300),
+    routing: pick(['STATIC', 'DYNAMIC'], i),
+    routestatus: 'NOTROUTABLE',
+    localq: 'NO',
+    priority: '1',
+    program: '',
+    tranclass: 'DFHTCL00',
+    profile: 'DFHCICSA',
+    ...installAttributes(i)
+  }),
+
+  'cicslocalfile': i => ({
+    file: `FILE${pad(i + 1, 4)}`,
+    dsname: `CICS.MOCK.FILE${pad(i + 1, 4)}.KSDS`,
+    basedsname: `CICS.MOCK.FILE${pad(i + 1, 4)}.KSDS`,
+    enablestatus: pick(['ENABLED', 'ENABLED', 'DISABLED', 'UNENABLED'], i),
+    openstatus: pick(['OPEN', 'CLOSED', 'CLOSED', 'CLOSED'], i),
+    accessmethod: 'VSAM',
+    vsamtype: pick(['KSDS', 'ESDS', 'RRDS'], i),
+    object: 'BASE',
+    keylength: String(pick([8, 0, 4], i)),
+    keyposition: '0',
+    recordsize: String(80 + (i % 5) * 100),
+    recordformat: pick(['V', 'F'], i),
+    strings: '1',
+    lsrpoolid: '1',
+    disposition: 'SHARE',
+    emptystatus: 'NOEMPTYREQ',
+    add: 'ADDABLE',
+    browse: 'BROWSABLE',
+    delete: pick(['DELETABLE', 'NOTDELETABLE'], i),
+    read: 'READABLE',
+    update: 'UPDATABLE',
+    readinteg: 'UNCOMMITTED',
+    recovstatus: pick(['NOTRECOVABLE', 'RECOVERABLE'], i),
+    fwdrecovstatus: 'NOTFWDRCVBLE',
+    rlsaccess: 'NOTRLS',
+    loadtype: 'NOTLOAD',
+    readreqs: String((i * 211) % 10000),
+    addreqs: String((i * 13) % 1000),
+    updatereqs: String((i * 29) % 1000),
+    deletereqs: String((i * 5) % 100),
+    browsereqs: String((i * 41) % 2000),
+    ...installAttributes(i)
+  }),
+
+  'cicslibrary': i => ({
+    name: i === 0 ? 'DFHRPL' : `LIB${pad(i, 5)}`,
+    ranking: i === 0 ? '10' : String(50 + i),
+    critical: pick(['CRITICAL', 'NONCRITICAL'], i),
+    enablestatus: 'ENABLED',
+    numdsnames: '1',
+    searchpos: String(i + 1),
+    dsname01: i === 0 ? 'CICS.USER.LOADLIB' : `CICS.MOCK.LIB${pad(i, 5)}.LOAD`,
+    dsname02: '',
+    dsname03: '',
+    dsname04: '',
+    dsname05: '',
+    dsname06: '',
+    dsname07: '',
+    dsname08: '',
+    dsname09: '',
+    dsname10: '',
+    dsname11: '',
+    dsname12: '',
+    dsname13: '',
+    dsname14: '',
+    dsname15: '',
+    dsname16: '',
+    progloadcnt: String((i * 19) % 500),
+    application: '',
+    platform: '',
+    ...installAttributes(i)
+  }),
+
+  'cicstcpipservice': i => ({
+    name: `TCPIPS${pad(i + 1, 2)}`,
+    port: String(8080 + i),
+    host: 'ANY',
+    ipaddress: '0.0.0.0',
+    ipfamily: 'UNKNOWN',
+    hosttype: 'ANY',
+    protocol: pick(['HTTP', 'IPIC', 'USER', 'ECI'], i),
+    openstatus: pick(['OPEN', 'OPEN', 'CLOSED'], i),
+    transid: 'CWXN',
+    urm: 'DFHWBADX',
+    ssltype: pick(['NOSSL', 'SSL', 'CLIENTAUTH'], i),
+    authenticate: pick(['NOAUTHENTIC', 'BASICAUTH', 'CERTIFICAUTH'], i),
+    privacy: 'SUPPORTED',
+    certificate: '',
+    ciphers: '',
+    backlog: '1024',
+    maxdata: '32000',
+    maxpersist: 'NO',
+    realm: '',
+    socketclose: '0',
+    closetimeout: '0',
+    tsqprefix: '',
+    connections: String((i * 3) % 20),
+    peakconns: String((i * 5) % 40),
+    totalconns: String((i * 97) % 5000),
+    bytesread: String((i * 40960) % 10000000),
+    byteswritten: String((i * 81920) % 10000000),
+    specifcps: '',
+    ...installAttributes(i)
+  }),
+
+  'cicspipeline': i => ({
+    name: `PIPE${pad(i + 1, 4)}`,
+    enablestatus: pick(['ENABLED', 'ENABLED', 'DISABLED'], i),
+    mode: pick(['PROVIDER', 'REQUESTER'], i),
+    configfile: `/u/cics/pipelines/pipe${i + 1}.xml`,
+    shelf: '/var/cicsts/',
+    wsdir: `/u/cics/wsbind/pipe${i + 1}/`,
+    soaplevel: pick(['1.1', '1.2'], i),
+    respwait: 'DEFTRANS',
+    mtomst: 'NOMTOM',
+    mtomnoxopst: 'NOMTOMNOXOP',
+    sendmtomst: 'NOSENDMTOM',
+    xopdirectst: 'NOXOPDIRECT',
+    xopsupportst: 'NOXOPSUPPORT',
+    ciddomain: 'cicsts',
+    usecount: String((i * 23) % 400),
+    ...installAttributes(i)
+  }),
+
+  'cicswebservice': i => ({
+    name: `WEBSVC${pad(i + 1, 2)}`,
+    state: pick(['INSERVICE', 'INSERVICE', 'UNUSABLE'], i),
+    pipeline: `PIPE${pad(i + 1, 4)}`,
+    urimap: `URIMAP${pad(i + 1, 2)}`,
+    program: programName(i),
+    pgminterface: pick(['CHANNEL', 'COMMAREA'], i),
+    container: pick(['DFHWS-DATA', ''], i),
+    wsbind: `/u/cics/wsbind/pipe${i + 1}/websvc${i + 1}.wsbind`,
+    wsdlfile: `/u/cics/wsdl/websvc${i + 1}.wsdl`,
+    archivefile: '',
+    endpoint: `http://localhost:${8080 + i}/websvc${i + 1}`,
+    binding: `WebService${i + 1}HTTPSoapBinding`,
+    mappinglevel: '3.0',
+    minrunlevel: '3.0',
+    xopdirectst: 'NOXOPDIRECT',
+    xopsupportst: 'NOXOPSUPPORT',
+    validationst: pick(['NOVALIDATION', 'VALIDATION'], i),
+    usecount: String((i * 31) % 600),
+    ccsid: '0',
+    ...installAttributes(i)
+  }),
+
+  'cicsjvmserver': i => ({
+    name: `JVMSRV${pad(i + 1, 2)}`,
+    enablestatus: pick(['ENABLED', 'ENABLED', 'DISABLED'], i),
+    jvmprofile: pick(['DFHWLP', 'DFHOSGI', 'DFHAXIS'], i),
+    profiledir: '/u/cics/JVMProfiles',
+    lerunopts: 'DFHAXRO',
+    threadlimit: '15',
+    threadcount: String(i % 15),
+    threadwaits: '0',
+    threadwaittime: '00:00:00.000000',
+    currentheap: String(67108864 + i * 1048576),
+    initheap: '67108864',
+    maxheap: '536870912',
+    peakheap: String(134217728 + i * 1048576),
+    occupancy: String(33554432 + i * 524288),
+    gcpolicy: '-Xgcpolicy:gencon',
+    jvmstatus: 'NOTAPPLIC',
+    log: `/u/cics/logs/jvmsrv${i + 1}/stdout`,
+    stderr: `/u/cics/logs/jvmsrv${i + 1}/stderr`,
+    stdout: `/u/cics/logs/jvmsrv${i + 1}/stdout`,
+    trace: `/u/cics/logs/jvmsrv${i + 1}/trace`,
+    javahome: '/usr/lpp/java/J17.0_64',
+    pid: String(16777216 + i),
+    ...installAttributes(i)
+  }),
+
+  'cicsurimap': i => ({
+    name: `URIMAP${pad(i + 1, 2)}`,
+    enablestatus: pick(['ENABLED', 'ENABLED', 'DISABLED'], i),
+    usage: pick(['SERVER', 'CLIENT', 'PIPELINE', 'JVMSERVER'], i),
+    scheme: pick(['HTTP', 'HTTPS'], i),
+    host: pick(['*', 'example.com'], i),
+    path: `/mock/app${i + 1}/*`,
+    port: String(pick([0, 443, 8080], i)),
+    tcpipservice: `TCPIPS${pad(i + 1, 2)}`,
+    program: programName(i),
+    transaction: 'CWBA',
+    pipeline: pick(['', `PIPE${pad(i + 1, 4)}`], i),
+    webservice: '',
+    converter: '',
+    analyzerstat: 'NOANALYZER',
+    redirecttype: 'NONE',
+    location: '',
+    mediatype: 'text/html',
+    charset: 'UTF-8',
+    hostcodepage: '037',
+    templatename: '',
+    hfsfile: '',
+    atomservice: '',
+    certificate: '',
+    ciphers: '',
+    authenticate: 'NO',
+    socketclose: '0',
+    userid: '',
+    urimapreferencecount: String((i * 43) % 3000),
+    urimapredirectcount: '0',
+    urimapdisabledcount: '0',
+    ...installAttributes(i)
+  }),
+
+  'cicstask': (i, { random = new MockRandom(), group = 'cicstask' } = {}) => ({
+    task: String(100 + i),
+    tranid: transactionId(i),
+    currentprog: programName(i),
+    runstatus: pick(['RUNNING', 'DISPATCHABLE', 'SUSPENDED', 'SUSPENDED'], i),
+    suspendtype: pick(['', '', 'ZCIOWAIT', 'ENQUEUE'], i),
+    suspendvalue: pick(['', '', 'DFHZARQ1', 'EXECADDR'], i),
+    suspendtime: String((i * 7) % 600),
+    userid: pick(['CICSUSER', 'ADMINUSR', 'TESTUSER'], i),
+    startcode: pick(['TO', 'U', 'S', 'SD'], i),
+    facilitytype: pick(['TERM', 'NONE', 'TASK'], i),
+    facility: pick([`T${pad(i, 3)}`, '', ''], i),
+    priority: String((i * 10) % 256),
+    tclass: 'DFHTCL00',
+    tcb: pick(['QR', 'L8', 'T8'], i),
+    cputime: `00:00:00.${pad((i * 1234) % 1000000, 6)}`,
+    dispatchtime: `00:00:00.${pad((i * 4321) % 1000000, 6)}`,
+    suspendtimeinterval: '0',
+    purgeability: 'PURGEABLE',
+    isolatest: 'ISOLATE',
+    uow: keydata(random, `${group}/${i}/uow`),
+    bridge: '',
+    dtimeout: '0',
+    indoubt: 'BACKOUT',
+    indoubtwait: 'WAIT',
+    profile: 'DFHCICST',
+    tranpriority: '1',
+    userpriority: '0',
+    opid: '',
+    trprof: '',
+    stgprot: 'NOPROTECT',
+    taskdatakey: 'USER',
+    taskdataloc: 'ANY',
+    ipfacilities: 'NOTAPPLIC',
+    activity: '',
+    process: '',
+    processtype: '',
+    application: '',
+    operation: ''
+  }),
+
+  'cicsbundle': i => ({
+    name: `BUNDLE${pad(i + 1, 2)}`,
+    bundledir: `/u/cics/bundles/bundle${i + 1}_1.0.0`,
+    bundleid: `com.example.bundle${i + 1}`,
+    enablestatus: pick(['ENABLED', 'ENABLED', 'DISABLED'], i),
+    availstatus: pick(['AVAILABLE', 'AVAILABLE', 'UNAVAILABLE'], i),
+    majorversion: '1',
+    minorversion: '0',
+    microversion: String(i % 10),
+    partcount: '2',
+    targetcount: '2',
+    enabledcount: pick(['2', '2', '0'], i),
+    basescope: '',
+    mgmtpart: '',
+    platform: '',
+    application: '',
+    applmajorver: '-1',
+    applminorver: '-1',
+    applmicrover: '-1',
+    ...installAttributes(i)
+  }),
+
+  'cicsbundlepart': i => ({
+    bundle: `BUNDLE${pad(Math.floor(i / 2) + 1, 2)}`,
+    bundlepart: pick([programName(i), `URIMAP${pad(i + 1, 2)}`], i),
+    partclass: 'DEFINITION',
+    parttype: pick(['http://www.ibm.com/xmlns/prod/cics/bundle/PROGRAM',
+      'http://www.ibm.com/xmlns/prod/cics/bundle/URIMAP'], i),
+    enablestatus: 'ENABLED',
+    availstatus: 'AVAILABLE',
+    metadatafile: pick([`/${programName(i)}.program`, `/URIMAP${pad(i + 1, 2)}.urimap`], i),
+    bundleid: `com.example.bundle${Math.floor(i / 2) + 1}`,
+    bundleversion: '1.0.0',
+    installtime: timestamp(24 + i)
+  }),
+
+  'cicscsdgroup': i => ({
+    csdgroup: `MOCKGRP${i + 1}`,
+    description: `Mock CSD group ${i + 1}`,
+    changeagent: 'CSDAPI',
+    changeagrel: '0740',
+    changetime: timestamp(48 + i),
+    changeusrid: 'ADMINUSR',
+    createtime: timestamp(720 + i),
+    userdata1: '',
+    userdata2: '',
+    userdata3: ''
+  }),
+
+  'cicscsdgroupinlist': i => ({
+    csdlist: pick(['DFHLIST1', 'MOCKLIST'], Math.floor(i / 2)),
+    csdgroup: `MOCKGRP${i + 1}`,
+    position: String((i % 2) + 1),
+    createtime: timestamp(720 + i)
+  }),
+
+  'cicsdefinitionprogram': i => ({
+    ...definitionAttributes(i, programName(i), `Mock program ${i + 1}`),
+    language: pick(['COBOL', 'ASSEMBLER', 'LE370', 'C', 'PLI'], i),
+    reload: 'NO',
+    resident: 'NO',
+    usage: 'NORMAL',
+    uselpacopy: 'NO',
+    status: pick(['ENABLED', 'ENABLED', 'DISABLED'], i),
+    cedf: 'YES',
+    datalocation: pick(['ANY', 'BELOW'], i),
+    execkey: 'USER',
+    concurrency: pick(['QUASIRENT', 'THREADSAFE', 'REQUIRED'], i),
+    api: 'CICSAPI',
+    dynamic: 'NO',
+    executionset: 'FULLAPI',
+    remotesystem: '',
+    remotename: '',
+    transid: '',
+    jvm: 'NO',
+    jvmclass: '',
+    jvmserver: '',
+    hotpool: 'NO'
+  }),
+
+  'cicsdefinitiontransaction': i => ({
+    ...definitionAttributes(i, transactionId(i), `Mock transaction ${i + 1}`),
+    program: programName(i),
+    twasize: String((i % 4) * 128),
+    profile: 'DFHCICST',
+    partitionset: '',
+    status: pick(['ENABLED', 'ENABLED', 'DISABLED'], i),
+    taskdatakey: 'USER',
+    taskdataloc: 'ANY',
+    storageclear: 'NO',
+    runaway: 'SYSTEM',
+    shutdown: 'DISABLED',
+    isolate: 'YES',
+    dynamic: 'NO',
+    routable: 'NO',
+    remotesystem: '',
+    remotename: '',
+    trprof: '',
+    localq: '',
+    priority: String((i * 10) % 256),
+    tranclass: 'DFHTCL00',
+    alias: '',
+    taskreq: '',
+    xtranid: '',
+    tpname: '',
+    xtpname: '',
+    dtimout: 'NO',
+    restart: 'NO',
+    spurge: 'NO',
+    tpurge: 'NO',
+    dump: 'YES',
+    trace: 'YES',
+    confdata: 'NO',
+    otstimeout: 'NO',
+    action: 'BACKOUT',
+    wait: 'YES',
+    waittime: '00,00,00',
+    cmdsec: 'NO',
+    ressec: 'NO',
+    brexit: ''
+  }),
+
+  'cicsdefinitionurimap': i => ({
+    ...definitionAttributes(i, `URIMAP${pad(i + 1, 2)}`, `Mock URI map ${i + 1}`),
+    status: pick(['ENABLED', 'ENABLED', 'DISABLED'], i),
+    usage: pick(['SERVER', 'CLIENT', 'PIPELINE', 'JVMSERVER'], i),
+    scheme: pick(['HTTP', 'HTTPS'], i),
+    port: String(pick(['NO', 443, 8080], i)),
+    host: pick(['*', 'example.com'], i),
+    path: `/mock/app${i + 1}/*`,
+    mediatype: 'text/html',
+    characterset: 'UTF-8',
+    hostcodepage: '037',
+    templatename: '',
+    hfsfile: '',
+    tcpipservice: `TCPIPS${pad(i + 1, 2)}`,
+    analyzer: 'NO',
+    converter: '',
+    transaction: 'CWBA',
+    program: programName(i),
+    pipeline: '',
+    webservice: '',
+    userid: '',
+    certificate: '',
+    ciphers: '',
+    redirecttype: 'NONE',
+    location: '',
+    socketclose: 'NO',
+    authenticate: 'NO',
+    atomservice: ''
+  }),
+
+  'cicsdefinitionwebservice': i => ({
+    ...definitionAttributes(i, `WEBSVC${pad(i + 1, 2)}`, `Mock web service ${i + 1}`),
+    pipeline: `PIPE${pad(i + 1, 4)}`,
+    wsbind: `/u/cics/wsbind/pipe${i + 1}/websvc${i + 1}.wsbind`,
+    wsdlfile: `/u/cics/wsdl/websvc${i + 1}.wsdl`,
+    validation: pick(['NO', 'YES'], i),
+    archivefile: ''
+  }),
+
+  'cicsdefinitionbundle': i => ({
+    ...definitionAttributes(i, `BUNDLE${pad(i + 1, 2)}`, `Mock bundle ${i + 1}`),
+    bundledir: `/u/cics/bundles/bundle${i + 1}_1.0.0`,
+    basescope: '',
+    status: pick(['ENABLED', 'ENABLED', 'DISABLED'], i)
+  })
+};
+
+// Bytes of _keydata per resource type (default 8)
+const KEYDATA_BYTES = {
+  'cicscicsplex': 16
+};
+
+/**
+ * Generate mock data for different resource types
+ * @param {Object} options - { random, group }: the MockRandom for _keydata and the name of the
+ *   group the records are seeded into (default: the resource type)
+ */
+function generateMockData(resourceType, count = 1, startIndex = 0, { random = new MockRandom(), group = resourceType } = {}) {
+  const mockData = [];
+  const generator = GENERATORS[resourceType];
+
+  for (let i = startIndex; i < startIndex + count; i++) {
+    const attributes = generator
+      ? generator(i, { random, group })
+      : { name: `${resourceType.toUpperCase()}${i + 1}`, status: 'ACTIVE' };
+
+    mockData.push({
+      $: {
+        _keydata: keydata(random, `${group}/${i}`, KEYDATA_BYTES[resourceType]),
+        ...attributes
+      }
+    });
+  }
+
+  return mockData;
+}
+
+module.exports = {
+  GENERATORS,
+  generateMockData
+};
@@ -0,0 +1,139 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+/**
+ * CMCI ORDERBY
+ *
+ * Parses the sort keys passed in the ORDERBY query parameter, e.g.
+ * `STATUS,USECOUNT DESC`, and sorts records by them. Each key sorts
+ * ascending unless followed by DESC, and compares values by the type of its
+ * attribute, as declared in lib/attributes.js:
+ * - numeric attributes as numbers
+ * - timestamps and time intervals in time order
+ * - enumerated attributes in the order of their value list, as CMCI sorts CVDAs
+ * - character attributes, and attributes with no declared type, by their text
+ */
+
+const { ATTRIBUTE_TYPES, getAttributeType } = require('./attributes');
+
+// Most sort keys an ORDERBY may list
+const MAX_ORDERBY_KEYS = 32;
+
+class OrderByError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OrderByError';
+  }
+}
+
+/**
+ * Parse an ORDERBY value into its sort keys, [{ attribute, descending }]
+ * Returns null when no value was given, throws OrderByError when it is malformed
+ */
+function parseOrderBy(expression) {
+  if (expression === undefined || expression === null) {
+    return null;
+  }
+
+  if (Array.isArray(expression)) {
+    throw new OrderByError('ORDERBY may only be specified once');
+  }
+
+  const keys = String(expression).split(',').map(key => {
+    const [attribute, direction = 'ASC', ...rest] = key.trim().split(/\s+/);
+
+    if (!attribute || rest.length > 0) {
+      throw new OrderByError(`'${key.trim()}' is not an attribute name followed by ASC or DESC`);
+    }
+    if (!['ASC', 'DESC'].includes(direction.toUpperCase())) {
+      throw new OrderByError(`'${direction}' is not a sort direction, use ASC or DESC`);
+    }
+
+    return { attribute: attribute.toLowerCase(), descending: direction.toUpperCase() === 'DESC' };
+  });
+
+  if (keys.length > MAX_ORDERBY_KEYS) {
+    throw new OrderByError(`At most ${MAX_ORDERBY_KEYS} attributes may be given`);
+  }
+
+  return keys;
+}
+
+/**
+ * Convert a timestamp (2025-01-06T08:00:00.000000+00:00) or interval (00:00:01.500000) to milliseconds
+ */
+function toTime(value) {
+  const interval = /^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/.exec(value);
+
+  if (interval) {
+    return ((Number(interval[1]) * 60 + Number(interval[2])) * 60 + Number(interval[3])) * 1000;
+  }
+
+  // Date.parse takes at most millisecond fractions
+  return Date.parse(value.replace(/(\.\d{3})\d+/, '$1'));
+}
+
+/**
+ * Compare two values of an attribute by its type
+ * Values that do not fit the type (e.g. blanks) sort before those that do
+ */
+function compareByType(attributeType, a, b) {
+  const compareNumbers = (x, y) => {
+    if (isNaN(x) || isNaN(y)) {
+      return (isNaN(x) ? 0 : 1) - (isNaN(y) ? 0 : 1);
+    }
+    return x - y;
+  };
+  const compareText = (x, y) => (x < y ? -1 : x > y ? 1 : 0);
+
+  switch (attributeType?.type) {
+    case ATTRIBUTE_TYPES.NUMERIC:
+      return compareNumbers(a.trim() === '' ? NaN : Number(a), b.trim() === '' ? NaN : Number(b));
+    case ATTRIBUTE_TYPES.TIMESTAMP:
+      return compareNumbers(toTime(a), toTime(b));
+    case ATTRIBUTE_TYPES.ENUMERATED: {
+      // Values outside the list, e.g. set by a request, sort after it by their text
+      const position = value => {
+        const index = attributeType.values.indexOf(value);
+        return index === -1 ? attributeType.values.length : index;
+      };
+      return position(a) - position(b) || compareText(a, b);
+    }
+    default:
+      return compareText(a, b);
+  }
+}
+
+/**
+ * Sort records of a resource type by parsed ORDERBY keys, returning a new array
+ * Records that compare equal on every key keep their order
+ */
+function sortRecords(records, resourceType, keys) {
+  if (!keys || keys.length === 0) {
+    return records;
+  }
+
+  const types = keys.map(key => getAttributeType(resourceType, key.attribute));
+  const valueOf = (record, attribute) => {
+    const value = record.$?.[attribute];
+    return value === undefined || value === null ? '' : String(value);
+  };
+
+  return [...records].sort((a, b) => {
+    for (const [i, key] of keys.entries()) {
+      const order = compareByType(types[i], valueOf(a, key.attribute), valueOf(b, key.attribute));
+      if (order !== 0) {
+        return key.descending ? -order : order;
+      }
+    }
+    return 0;
+  });
+}
+
+module.exports = {
+  OrderByError,
+  parseOrderBy,
+  sortRecords
+};
@@ -0,0 +1,138 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+/**
+ * CMCI PARAMETER values
+ *
+ * Parses the PARAMETER query parameter, a blank-separated list of keywords
+ * that may carry a value in parentheses, e.g. `CSDGROUP(MYGRP)` or
+ * `CSDLIST(DFHLIST) CSDGROUP(DFH*)`.
+ */
+
+const { wildcardToRegExp } = require('./criteria');
+
+// PARAMETER keywords accepted per resource type and the record attribute each one filters on
+const PARAMETER_FILTERS = {
+  definition: { CSDGROUP: 'csdgroup', RESGROUP: 'resgroup' },
+  'cicscsdgroup': { CSDGROUP: 'csdgroup' },
+  'cicscsdgroupinlist': { CSDLIST: 'csdlist', CSDGROUP: 'csdgroup' }
+};
+
+class ParameterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ParameterError';
+  }
+}
+
+/**
+ * Check whether a resource type is a CSD/BAS definition
+ */
+function isDefinitionType(resourceType) {
+  return resourceType.startsWith('cicsdefinition');
+}
+
+/**
+ * Parse a PARAMETER value into { KEYWORD: value } (value is null for bare keywords)
+ * Returns null when no PARAMETER was given, throws ParameterError when it is malformed
+ */
+function parseParameter(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (Array.isArray(value)) {
+    throw new ParameterError('PARAMETER may only be specified once');
+  }
+
+  const text = String(value).trim();
+  const keywords = {};
+  const pattern = /([A-Za-z][A-Za-z0-9]*)(?:\(([^()]*)\))?(?:\s+|$)/y;
+  let pos = 0;
+
+  if (text === '') {
+    throw new ParameterError('PARAMETER is empty');
+  }
+
+  while (pos < text.length) {
+    pattern.lastIndex = pos;
+    const match = pattern.exec(text);
+    if (!match) {
+      throw new ParameterError(`Unexpected '${text.slice(pos)}' at position ${pos + 1}`);
+    }
+
+    const keyword = match[1].toUpperCase();
+    if (Object.prototype.hasOwnProperty.call(keywords, keyword)) {
+      throw new ParameterError(`${keyword} is specified more than once`);
+    }
+
+    keywords[keyword] = match[2] === undefined ? null : match[2].trim();
+    pos = pattern.lastIndex;
+  }
+
+  return keywords;
+}
+
+/**
+ * Get the PARAMETER keywords a resource type filters on
+ */
+function getParameterFilters(resourceType) {
+  return PARAMETER_FILTERS[isDefinitionType(resourceType) ? 'definition' : resourceType] || null;
+}
+
+/**
+ * Build a record filter from parsed PARAMETER keywords
+ * Keyword values may use the * and + wildcards and match group and list names in any case
+ */
+function buildParameterFilter(resourceType, keywords) {
+  const filters = getParameterFilters(resourceType);
+
+  if (!filters || !keywords) {
+    return () => true;
+  }
+
+  const tests = Object.entries(keywords)
+    .filter(([keyword]) => filters[keyword])
+    .map(([keyword, value]) => {
+      const attribute = filters[keyword];
+      const pattern = wildcardToRegExp(value.toUpperCase());
+      return record => pattern.test(String(record.$?.[attribute] ?? '').toUpperCase());
+    });
+
+  return record => tests.every(test => test(record));
+}
+
+/**
+ * Validate parsed PARAMETER keywords for a request against a resource type
+ * Throws ParameterError describing the first problem found
+ */
+function validateParameter(resourceType, keywords) {
+  const filters = getParameterFilters(resourceType);
+
+  if (isDefinitionType(resourceType) && !(keywords && (keywords.CSDGROUP || keywords.RESGROUP))) {
+    throw new ParameterError(`CSDGROUP or RESGROUP is required for ${resourceType}`);
+  }
+
+  if (!filters || !keywords) {
+    return;
+  }
+
+  for (const [keyword, value] of Object.entries(keywords)) {
+    if (!filters[keyword]) {
+      throw new ParameterError(`${keyword} is not valid for ${resourceType}`);
+    }
+    if (!value) {
+      throw new ParameterError(`${keyword} requires a value`);
+    }
+  }
+}
+
+module.exports = {
+  ParameterError,
+  isDefinitionType,
+  parseParameter,
+  buildParameterFilter,
+  validateParameter
+};
@@ -0,0 +1,98 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+/**
+ * Seeded random values
+ *
+ * Record keys, cache tokens, LtpaToken2 values and OTPs are drawn from a
+ * MockRandom. Without a seed it uses crypto.randomBytes; with one, every
+ * value is a SHA-256 digest of the seed and a name, so a seed gives the same
+ * values on every run. Values looked up by name (e.g. the _keydata of the
+ * third CICSProgram in a region) do not depend on the order of requests;
+ * values taken from a stream (e.g. the next cache token) repeat when the
+ * same requests are replayed.
+ */
+
+const crypto = require('crypto');
+
+// Start of the clock used for timestamps when seeded (matches the mock data base time)
+const SEEDED_EPOCH = Date.UTC(2025, 0, 6, 8, 0, 0);
+
+class MockRandom {
+  /**
+   * @param {string|number|null} seed - null or '' for unseeded values
+   */
+  constructor(seed = null) {
+    this.seed = seed === null || seed === undefined || seed === '' ? null : String(seed);
+    this.counters = new Map(); // Map<stream, values taken>
+  }
+
+  get seeded() {
+    return this.seed !== null;
+  }
+
+  /**
+   * Get `length` bytes identified by a name; with a seed the same name always gives the same bytes
+   */
+  derive(name, length) {
+    if (!this.seeded) {
+      return crypto.randomBytes(length);
+    }
+
+    const blocks = [];
+    for (let block = 0; blocks.length * 32 < length; block++) {
+      blocks.push(crypto.createHash('sha256').update(`${this.seed}\0${name}\0${block}`).digest());
+    }
+    return Buffer.concat(blocks).subarray(0, length);
+  }
+
+  /**
+   * Take the next `length` bytes of a stream, e.g. 'cachetoken'
+   */
+  take(stream, length) {
+    const taken = this.counters.get(stream) || 0;
+    this.counters.set(stream, taken + 1);
+    return this.derive(`${stream}#${taken}`, length);
+  }
+
+  /**
+   * Take the next value of a stream as uppercase hex
+   */
+  hex(stream, bytes) {
+    return this.take(stream, bytes).toString('hex').toUpperCase();
+  }
+
+  /**
+   * Take the next value of a stream as a whole number between min and max inclusive
+   */
+  int(stream, min, max) {
+    return min + this.take(stream, 4).readUInt32BE(0) % (max - min + 1);
+  }
+
+  /**
+   * Get the current time; when seeded, a clock that starts at a fixed time and
+   * advances a second per call, so timestamps repeat too
+   */
+  now() {
+    if (!this.seeded) {
+      return new Date();
+    }
+
+    const ticks = this.counters.get('clock') || 0;
+    this.counters.set('clock', ticks + 1);
+    return new Date(SEEDED_EPOCH + ticks * 1000);
+  }
+
+  /**
+   * Start every stream again from its first value
+   */
+  reset() {
+    this.counters.clear();
+  }
+}
+
+module.exports = {
+  MockRandom
+};
@@ -0,0 +1,157 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+/**
+ * CMCI request documents
+ *
+ * Validates the XML bodies of POST and PUT requests, as parsed by xml2js:
+ *   <request><create><parameter name="CSD"/><attributes name="PROG1" csdgroup="GRP1"/></create></request>
+ *   <request><update><attributes status="DISABLED"/></update></request>
+ *   <request><action name="NEWCOPY"><parameter name="..." value="..."/></action></request>
+ *
+ * Problems with the document or with which attributes it carries are
+ * INVALIDPARM, with a REQUEST_REASONS code in api_response2 (see lib/responses.js). A rejected
+ * attribute value is INVALIDDATA, with the attribute's identifier in
+ * api_response2 (see lib/attributes.js). Either way api_response2_alt names
+ * the element or attribute at fault.
+ */
+
+const { getAttributeNames, getAttributeId, getKeyAttributes, getMandatoryAttributes, getMaxLength } = require('./attributes');
+const { isDefinitionType } = require('./parameter');
+const { REASONS } = require('./responses');
+
+// api_response2 reason codes for INVALIDPARM request documents
+const REQUEST_REASONS = REASONS.INVALIDPARM;
+
+class RequestError extends Error {
+  /**
+   * @param {string} responseName - CMCI response (INVALIDPARM or INVALIDDATA)
+   * @param {string} response2 - reason code or attribute identifier for api_response2
+   * @param {string} target - element or attribute at fault, reported in api_response2_alt
+   */
+  constructor(responseName, response2, target, message) {
+    super(message);
+    this.name = 'RequestError';
+    this.responseName = responseName;
+    this.response2 = String(response2);
+    this.target = target.toUpperCase();
+  }
+}
+
+/**
+ * Find the operation element of a request document
+ * `operations` lists the elements allowed for the method, e.g. ['update', 'action'] for PUT
+ * Returns { operation, element }
+ */
+function readRequest(document, operations) {
+  if (!document) {
+    throw new RequestError('INVALIDPARM', REQUEST_REASONS.ROOT, 'REQUEST', 'Request body must be a <request> document');
+  }
+
+  const request = document.request;
+  if (request === undefined) {
+    throw new RequestError('INVALIDPARM', REQUEST_REASONS.ROOT, 'REQUEST', `Root element must be <request>, not <${Object.keys(document)[0]}>`);
+  }
+
+  const present = operations.filter(operation => request?.[operation] !== undefined);
+
+  if (present.length !== 1) {
+    const expected = operations.map(operation => `<${operation}>`).join(' or ');
+    const problem = present.length === 0 ? 'must contain' : 'must contain only one of';
+    throw new RequestError('INVALIDPARM', REQUEST_REASONS.OPERATION, operations[0], `Request ${problem} ${expected}`);
+  }
+
+  const operation = present[0];
+  const element = request[operation];
+
+  if (Array.isArray(element)) {
+    throw new RequestError('INVALIDPARM', REQUEST_REASONS.OPERATION, operation, `<${operation}> may only be given once`);
+  }
+
+  for (const parameter of [].concat(element?.parameter ?? [])) {
+    if (!parameter?.name) {
+      throw new RequestError('INVALIDPARM', REQUEST_REASONS.PARAMETER, 'PARAMETER', '<parameter> requires a name');
+    }
+  }
+
+  return { operation, element: element || {} };
+}
+
+/**
+ * Read the <attributes> of a create or update element, with attribute names lowercased
+ */
+function readAttributes(element, operation) {
+  const attributes = element.attributes;
+
+  if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes) || Object.keys(attributes).length === 0) {
+    throw new RequestError('INVALIDPARM', REQUEST_REASONS.ATTRIBUTES, 'ATTRIBUTES', `<${operation}> must contain <attributes> with at least one attribute`);
+  }
+
+  return Object.fromEntries(Object.entries(attributes).map(([name, value]) => [name.toLowerCase(), String(value)]));
+}
+
+/**
+ * Reject attributes the resource type does not have and values that are too long
+ */
+function checkAttributes(resourceType, attributes) {
+  const names = getAttributeNames(resourceType);
+
+  for (const [attribute, value] of Object.entries(attributes)) {
+    if (names && !names.includes(attribute)) {
+      throw new RequestError('INVALIDPARM', REQUEST_REASONS.UNKNOWN, attribute, `${resourceType} has no attribute ${attribute}`);
+    }
+
+    const maxLength = getMaxLength(resourceType, attribute);
+    if (maxLength !== null && value.length > maxLength) {
+      throw new RequestError('INVALIDDATA', getAttributeId(resourceType, attribute) ?? 0, attribute,
+        `${attribute} must be at most ${maxLength} characters`);
+    }
+  }
+}
+
+/**
+ * Validate the attributes of a create request, once any group from PARAMETER has been applied
+ */
+function validateCreateAttributes(resourceType, attributes) {
+  checkAttributes(resourceType, attributes);
+
+  const mandatory = getMandatoryAttributes(resourceType);
+  if (isDefinitionType(resourceType) && !attributes.resgroup) {
+    mandatory.push('csdgroup');
+  }
+
+  for (const attribute of mandatory) {
+    if (attributes[attribute] === undefined) {
+      throw new RequestError('INVALIDPARM', REQUEST_REASONS.MISSING, attribute, `${attribute} is required to create ${resourceType}`);
+    }
+    if (attributes[attribute].trim() === '') {
+      throw new RequestError('INVALIDDATA', getAttributeId(resourceType, attribute) ?? 0, attribute, `${attribute} must not be blank`);
+    }
+  }
+}
+
+/**
+ * Validate the attributes of an update request
+ * Key attributes identify the records being updated, so they cannot be changed
+ */
+function validateUpdateAttributes(resourceType, attributes) {
+  checkAttributes(resourceType, attributes);
+
+  for (const attribute of getKeyAttributes(resourceType)) {
+    if (attributes[attribute] !== undefined) {
+      throw new RequestError('INVALIDDATA', getAttributeId(resourceType, attribute) ?? 0, attribute,
+        `${attribute} identifies ${resourceType} records and cannot be updated`);
+    }
+  }
+}
+
+module.exports = {
+  REQUEST_REASONS,
+  RequestError,
+  readRequest,
+  readAttributes,
+  validateCreateAttributes,
+  validateUpdateAttributes
+};
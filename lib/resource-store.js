@@ -0,0 +1,271 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+/**
+ * In-memory resource store
+ *
+ * Holds the records served by the CMCI routes so that resources created,
+ * updated or deleted through POST/PUT/DELETE are reflected by later GETs.
+ * Records are grouped by resource type, context and the region that owns
+ * them, and identified within a group by the key attributes of their
+ * resource type. Records that do not belong to a single region (e.g.
+ * CICSplexes or region groups) are held with an empty region.
+ */
+
+const { MockRandom } = require('./random');
+
+// Attributes that uniquely identify a record of each resource type
+const KEY_ATTRIBUTES = {
+  'cicsmanagedregion': ['cicsname'],
+  'cicscicsplex': ['plexname'],
+  'cicsregion': ['applid'],
+  'cicsdefinitionprogram': ['name', 'csdgroup'],
+  'cicsdefinitiontransaction': ['name', 'csdgroup'],
+  'cicsdefinitionurimap': ['name', 'csdgroup'],
+  'cicsdefinitionwebservice': ['name', 'csdgroup'],
+  'cicsdefinitionbundle': ['name', 'csdgroup'],
+  'cicsprogram': ['program'],
+  'cicslibrary': ['name'],
+  'cicstcpipservice': ['name'],
+  'cicspipeline': ['name'],
+  'cicswebservice': ['name'],
+  'cicsjvmserver': ['name'],
+  'cicsurimap': ['name'],
+  'cicsregiongroup': ['group'],
+  'cicscsdgroup': ['csdgroup'],
+  'cicscsdgroupinlist': ['csdlist', 'csdgroup'],
+  'cicstask': ['task'],
+  'cicsbundle': ['name'],
+  'cicsbundlepart': ['bundle', 'bundlepart'],
+  'cicslocalfile': ['file'],
+  'cicslocaltransaction': ['tranid'],
+  'cicsremotetransaction': ['tranid']
+};
+
+/**
+ * Copy a record so callers cannot mutate the stored attributes
+ */
+function cloneRecord(record) {
+  return { $: { ...record.$ } };
+}
+
+class ResourceStore {
+  /**
+   * @param {Function} generateRecords - (resourceType, count, startIndex, { context, region, random }) => records,
+   *   used to seed a group the first time it is read
+   * @param {MockRandom} random - source of _keydata for records that do not say otherwise
+   */
+  constructor(generateRecords, random = new MockRandom()) {
+    this.generateRecords = generateRecords;
+    this.random = random;
+    this.generating = true; // false leaves groups without loaded records empty
+    this.groups = new Map(); // Map<groupKey, {resourceType, context, region, records, generated, loaded}>
+  }
+
+  /**
+   * Build the key of the group holding records for a type, context and region
+   */
+  groupKey(resourceType, context, region) {
+    return [resourceType, (context || '').toUpperCase(), (region || '').toUpperCase()].join('/');
+  }
+
+  /**
+   * Build the key identifying a record within its group
+   * Records missing any key attribute fall back to their _keydata
+   */
+  recordKey(resourceType, attributes) {
+    const keyAttributes = KEY_ATTRIBUTES[resourceType] || ['name'];
+    const values = keyAttributes.map(attr => attributes[attr]);
+
+    if (values.some(value => value === undefined || value === '')) {
+      return `_keydata:${attributes._keydata}`;
+    }
+
+    return values.map(value => String(value).toUpperCase()).join('/');
+  }
+
+  getGroup(resourceType, context, region) {
+    const key = this.groupKey(resourceType, context, region);
+
+    if (!this.groups.has(key)) {
+      this.groups.set(key, { resourceType, context, region, records: [], generated: 0, loaded: false });
+    }
+
+    return this.groups.get(key);
+  }
+
+  /**
+   * Make sure at least `count` generated records have been seeded into a group
+   * Records deleted by clients still count as generated, so they are not re-seeded.
+   * Groups loaded from fixtures are never topped up.
+   */
+  ensureRecords(resourceType, context, region, count, random = this.random) {
+    const group = this.getGroup(resourceType, context, region);
+
+    if (this.generating && !group.loaded && group.generated < count) {
+      const seeded = this.generateRecords(resourceType, count - group.generated, group.generated, { context, region, random });
+      for (const record of seeded) {
+        if (!this.findByKey(group, this.recordKey(resourceType, record.$))) {
+          group.records.push(record);
+        }
+      }
+      group.generated = count;
+    }
+
+    return group;
+  }
+
+  findByKey(group, key) {
+    return group.records.find(record => this.recordKey(group.resourceType, record.$) === key);
+  }
+
+  /**
+   * List copies of the records in a group, optionally filtered
+   */
+  list(resourceType, context, region, filter = () => true) {
+    const group = this.getGroup(resourceType, context, region);
+    return group.records.filter(filter).map(cloneRecord);
+  }
+
+  /**
+   * Check whether a record with the same key attributes already exists
+   */
+  exists(resourceType, context, region, attributes) {
+    const group = this.getGroup(resourceType, context, region);
+    return Boolean(this.findByKey(group, this.recordKey(resourceType, attributes)));
+  }
+
+  /**
+   * Find the record with the same key attributes, returning a copy or null
+   */
+  find(resourceType, context, region, attributes) {
+    const group = this.getGroup(resourceType, context, region);
+    const record = this.findByKey(group, this.recordKey(resourceType, attributes));
+    return record ? cloneRecord(record) : null;
+  }
+
+  /**
+   * Create a record from its attributes, stamping the owning region
+   * Returns null when a record with the same key already exists
+   */
+  create(resourceType, context, region, attributes, random = this.random) {
+    const group = this.getGroup(resourceType, context, region);
+    const record = {
+      $: {
+        _keydata: random.hex(`keydata/${this.groupKey(resourceType, context, region)}`, 8),
+        ...attributes
+      }
+    };
+
+    if (region) {
+      record.$.eyu_cicsname = region;
+    }
+
+    if (this.findByKey(group, this.recordKey(resourceType, record.$))) {
+      return null;
+    }
+
+    group.records.push(record);
+    return cloneRecord(record);
+  }
+
+  /**
+   * Load a known set of records into a group, which is then not seeded with generated records
+   * Returns copies of the loaded records
+   */
+  load(resourceType, context, region, records) {
+    const group = this.getGroup(resourceType, context, region);
+    group.loaded = true;
+
+    return records
+      .map(attributes => this.create(resourceType, context, region, attributes))
+      .filter(Boolean);
+  }
+
+  /**
+   * Create a record, replacing any record with the same key attributes
+   */
+  replace(resourceType, context, region, attributes, random = this.random) {
+    const group = this.getGroup(resourceType, context, region);
+    const key = this.recordKey(resourceType, attributes);
+    group.records = group.records.filter(record => this.recordKey(resourceType, record.$) !== key);
+
+    return this.create(resourceType, context, region, attributes, random);
+  }
+
+  /**
+   * Apply attribute changes to every record matching the filter
+   * Returns copies of the updated records
+   */
+  update(resourceType, context, region, attributes, filter = () => true) {
+    return this.modify(resourceType, context, region, () => attributes, filter);
+  }
+
+  /**
+   * Apply per-record changes to every record matching the filter
+   * The modifier receives a copy of each record and returns the attributes to change,
+   * or null to delete the record. Returns copies of the affected records.
+   */
+  modify(resourceType, context, region, modifier, filter = () => true) {
+    const group = this.getGroup(resourceType, context, region);
+    const affected = [];
+
+    for (const record of group.records.filter(filter)) {
+      const changes = modifier(cloneRecord(record));
+
+      if (changes === null) {
+        group.records = group.records.filter(candidate => candidate !== record);
+      } else {
+        Object.assign(record.$, changes);
+      }
+      affected.push(cloneRecord(record));
+    }
+
+    return affected;
+  }
+
+  /**
+   * Delete every record matching the filter
+   * Returns copies of the deleted records
+   */
+  remove(resourceType, context, region, filter = () => true) {
+    const group = this.getGroup(resourceType, context, region);
+    const removed = group.records.filter(filter);
+    group.records = group.records.filter(record => !removed.includes(record));
+
+    return removed.map(cloneRecord);
+  }
+
+  /**
+   * Summarise the stored groups for the admin endpoints
+   */
+  summary() {
+    return Array.from(this.groups.values()).map(group => ({
+      resourceType: group.resourceType,
+      context: group.context,
+      region: group.region,
+      recordCount: group.records.length,
+      generated: group.generated,
+      loaded: group.loaded
+    }));
+  }
+
+  get size() {
+    let total = 0;
+    for (const group of this.groups.values()) {
+      total += group.records.length;
+    }
+    return total;
+  }
+
+  clear() {
+    this.groups.clear();
+  }
+}
+
+module.exports = {
+  KEY_ATTRIBUTES,
+  ResourceStore
+};
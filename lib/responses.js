@@ -0,0 +1,184 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+/**
+ * CMCI response codes
+ *
+ * The api_response1 values a CMCI response can carry, the HTTP status the mock
+ * sends with each, and the api_response2 reason codes the mock reports for
+ * them. The reason codes are the mock's own: CMCI documents no such table, so
+ * clients should not rely on them against a real server.
+ *
+ * Changes that a target region refuses are reported in <errors><feedback/></errors>
+ * with the EXEC CICS response of the region:
+ *   <feedback action="NEWCOPY" api_function="PERFORM SET" eibfn_alt="SET PROGRAM"
+ *     eibresp="16" eibresp_alt="INVREQ" eibresp2="3" eyu_cicsname="IYK2ZAI1" keydata="..."/>
+ */
+
+const RESPONSES = {
+  OK: { code: '1024', httpStatus: 200, description: 'The request completed successfully' },
+  SERVERGONE: { code: '1025', httpStatus: 503, description: 'The CMAS handling the request is no longer available' },
+  NOSERVICE: { code: '1026', httpStatus: 503, description: 'A service the request needs is not available' },
+  NODATA: { code: '1027', httpStatus: 200, description: 'No records match the request' },
+  INVALIDPARM: { code: '1028', httpStatus: 400, description: 'A parameter of the request is not valid' },
+  FAILED: { code: '1029', httpStatus: 500, description: 'The request failed' },
+  ENVIRONERROR: { code: '1030', httpStatus: 500, description: 'The environment, e.g. storage, did not allow the request' },
+  NOTPERMIT: { code: '1031', httpStatus: 403, description: 'The user is not permitted to perform the operation' },
+  BUSY: { code: '1032', httpStatus: 409, description: 'The resource is locked by another request' },
+  SERVERERROR: { code: '1033', httpStatus: 500, description: 'An error occurred in the CMCI server' },
+  NOTAVAILABLE: { code: '1034', httpStatus: 404, description: 'The CICSplex, region or result set is not available' },
+  VERSIONINVL: { code: '1035', httpStatus: 400, description: 'The resource table version is not valid' },
+  INVALIDCMD: { code: '1036', httpStatus: 400, description: 'The operation is not valid for the resource type' },
+  WARNING: { code: '1037', httpStatus: 200, description: 'The request completed with a warning' },
+  TABLEERROR: { code: '1038', httpStatus: 409, description: 'A target region refused the change' },
+  INCOMPATIBLE: { code: '1039', httpStatus: 409, description: 'The CMAS and the target region are at incompatible levels' },
+  NOTFOUND: { code: '1040', httpStatus: 404, description: 'The resource named by the request does not exist' },
+  INVALIDDATA: { code: '1041', httpStatus: 400, description: 'An attribute value is not valid' },
+  DUPE: { code: '1042', httpStatus: 409, description: 'A record with the same key already exists' },
+  WARNRECORDCOUNT: { code: '1043', httpStatus: 200, description: 'The request matched more records than the warning threshold' }
+};
+
+// api_response2 reason codes, by response. These are mock-specific, not IBM's. INVALIDDATA reports
+// instead the position of the attribute in the mock's attribute table (see lib/attributes.js)
+const REASONS = {
+  INVALIDPARM: {
+    ROOT: '1', // the root element of the request document is not <request>
+    OPERATION: '2', // the operation element is missing, not valid for the method or repeated
+    ATTRIBUTES: '3', // <attributes> is missing or empty
+    UNKNOWN: '4', // an attribute the resource type does not have
+    MISSING: '5', // a mandatory attribute is not given
+    PARAMETER: '6', // the PARAMETER query or a <parameter> element is not valid
+    RESOURCE: '7', // no or an unknown resource type in the URL
+    CONTEXT: '8',
+    SCOPE: '9',
+    CRITERIA: '10',
+    ACTION: '11', // an action the resource type does not support
+    ORDERBY: '12',
+    INDEX: '13',
+    COUNT: '14'
+  },
+  NOTPERMIT: {
+    READ: '1',
+    CREATE: '2',
+    UPDATE: '3',
+    DELETE: '4',
+    ACTION: '5'
+  },
+  NOTAVAILABLE: {
+    SCOPE: '1', // no active regions in scope
+    CACHETOKEN: '2', // the result set does not exist or has expired
+    SESSION: '3' // the result set belongs to another session
+  },
+  ENVIRONERROR: {
+    SESSION: '1', // the session holds the most retained result sets it may
+    SERVER: '2' // the server holds the most retained result sets it may
+  },
+  TABLEERROR: {
+    DATAERROR: '1' // a target region refused the change, see <feedback>
+  }
+};
+
+// EXEC CICS RESP values reported as eibresp in <feedback>
+const EIBRESP = {
+  NORMAL: 0,
+  ERROR: 1,
+  FILENOTFOUND: 12,
+  NOTFND: 13,
+  DUPREC: 14,
+  INVREQ: 16,
+  IOERR: 17,
+  NOSPACE: 18,
+  NOTOPEN: 19,
+  LENGERR: 22,
+  PGMIDERR: 27,
+  TRANSIDERR: 28,
+  NOTAUTH: 70,
+  DISABLED: 84,
+  CHANNELERR: 122
+};
+
+// CICS resource named by the EXEC CICS command behind a change, e.g. SET PROGRAM
+const EIBFN_RESOURCES = {
+  'cicsprogram': 'PROGRAM',
+  'cicslocaltransaction': 'TRANSACTION',
+  'cicsremotetransaction': 'TRANSACTION',
+  'cicslocalfile': 'FILE',
+  'cicsbundle': 'BUNDLE',
+  'cicsjvmserver': 'JVMSERVER',
+  'cicsurimap': 'URIMAP',
+  'cicstcpipservice': 'TCPIPSERVICE',
+  'cicspipeline': 'PIPELINE',
+  'cicswebservice': 'WEBSERVICE',
+  'cicslibrary': 'LIBRARY',
+  'cicstask': 'TASK'
+};
+
+// Attributes of <feedback>, in the order they are written
+const FEEDBACK_ATTRIBUTES = [
+  'action',
+  'api_function',
+  'eibfn_alt',
+  'eibresp',
+  'eibresp_alt',
+  'eibresp2',
+  'eyu_cicsname',
+  'keydata'
+];
+
+/**
+ * Find a response by name or api_response1 code, returning { name, code, httpStatus, description } or null
+ */
+function findResponse(nameOrCode) {
+  const value = String(nameOrCode ?? '').toUpperCase();
+  const name = Object.keys(RESPONSES).find(key => key === value || RESPONSES[key].code === value);
+  return name ? { name, ...RESPONSES[name] } : null;
+}
+
+/**
+ * Get the api_response2 code of a reason, or 0 when the response has no such reason
+ */
+function getReason(responseName, reasonName) {
+  return REASONS[responseName]?.[String(reasonName || '').toUpperCase()] || '0';
+}
+
+/**
+ * Find an EXEC CICS RESP value by name or number, returning { eibresp, eibresp_alt } or null
+ */
+function findEibresp(nameOrValue) {
+  const value = String(nameOrValue ?? '').toUpperCase();
+  const name = Object.keys(EIBRESP).find(key => key === value || String(EIBRESP[key]) === value);
+  return name ? { eibresp: String(EIBRESP[name]), eibresp_alt: name } : null;
+}
+
+/**
+ * Build the <feedback> attributes for a record a target region refused to change
+ * @param {string} action - the action name, or null for an <update>
+ * @param {Object} refusal - { eibresp, eibresp_alt, eibresp2 } and, when the command is not SET, its eibfn_alt
+ */
+function buildFeedback(resourceType, record, action, { eibresp, eibresp_alt, eibresp2, eibfn_alt = null }) {
+  const resource = EIBFN_RESOURCES[resourceType] || resourceType.replace(/^cics/, '').toUpperCase();
+
+  return {
+    ...(action ? { action } : {}),
+    api_function: action ? 'PERFORM SET' : 'SET',
+    eibfn_alt: eibfn_alt || `SET ${resource}`,
+    eibresp,
+    eibresp_alt,
+    eibresp2: String(eibresp2),
+    eyu_cicsname: record.$.eyu_cicsname || '',
+    keydata: record.$._keydata || ''
+  };
+}
+
+module.exports = {
+  RESPONSES,
+  REASONS,
+  EIBRESP,
+  FEEDBACK_ATTRIBUTES,
+  findResponse,
+  getReason,
+  findEibresp,
+  buildFeedback
+};
@@ -0,0 +1,138 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+/**
+ * CMCI XML schema
+ *
+ * Generates the schema that responses point at through xsi:schemaLocation.
+ * CICSSystemManagement.xsd describes the response envelope and includes one
+ * fragment per resource type, e.g. cicsprogram.xsd, describing its record
+ * element with the attributes from lib/attributes.js. Changes a target region
+ * refuses are described by the <errors> element and its <feedback> records.
+ */
+
+const { GENERATORS } = require('./mock-data');
+const { getAttributeNames, getKeyAttributes } = require('./attributes');
+const { FEEDBACK_ATTRIBUTES } = require('./responses');
+
+const NAMESPACE = 'http://www.ibm.com/xmlns/prod/CICS/smw2int';
+
+const SCHEMA_FILE = 'CICSSystemManagement.xsd';
+
+// Attributes of <resultsummary>, and whether every response carries them
+const RESULT_SUMMARY_ATTRIBUTES = [
+  ['api_source', false],
+  ['api_function', true],
+  ['api_response1', true],
+  ['api_response2', true],
+  ['api_response1_alt', true],
+  ['api_response2_alt', true],
+  ['recordcount', true],
+  ['displayed_recordcount', false],
+  ['cachetoken', false]
+];
+
+// Attributes the mock adds to records of every resource type
+const RECORD_ATTRIBUTES = ['_keydata', 'eyu_cicsname'];
+
+/**
+ * List the resource types the schema describes
+ */
+function listSchemaResourceTypes() {
+  return Object.keys(GENERATORS);
+}
+
+/**
+ * Get the file name of the schema fragment for a resource type
+ */
+function getFragmentFile(resourceType) {
+  return `${resourceType}.xsd`;
+}
+
+function schemaHeader() {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns="${NAMESPACE}" targetNamespace="${NAMESPACE}" elementFormDefault="qualified">`
+  ];
+}
+
+/**
+ * Build the schema fragment describing the records of a resource type
+ * Returns null for resource types the mock does not describe
+ */
+function buildResourceSchema(resourceType) {
+  const attributes = getAttributeNames(resourceType);
+
+  if (!attributes) {
+    return null;
+  }
+
+  const keys = getKeyAttributes(resourceType);
+  const names = [...RECORD_ATTRIBUTES, ...attributes.filter(name => !RECORD_ATTRIBUTES.includes(name))];
+
+  return [
+    ...schemaHeader(),
+    `  <xs:element name="${resourceType}" type="${resourceType}Type"/>`,
+    `  <xs:complexType name="${resourceType}Type">`,
+    '    <xs:annotation>',
+    `      <xs:documentation>${resourceType} record, identified by ${keys.join(', ')}</xs:documentation>`,
+    '    </xs:annotation>',
+    ...names.map(name => `    <xs:attribute name="${name}" type="xs:string"/>`),
+    '  </xs:complexType>',
+    '</xs:schema>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Build CICSSystemManagement.xsd, which includes the fragment of every resource type
+ */
+function buildSchema() {
+  const resourceTypes = listSchemaResourceTypes();
+
+  return [
+    ...schemaHeader(),
+    ...resourceTypes.map(resourceType => `  <xs:include schemaLocation="${getFragmentFile(resourceType)}"/>`),
+    '  <xs:element name="response">',
+    '    <xs:complexType>',
+    '      <xs:sequence>',
+    '        <xs:element name="resultsummary" type="resultsummaryType"/>',
+    '        <xs:element name="records" type="recordsType" minOccurs="0"/>',
+    '        <xs:element name="errors" type="errorsType" minOccurs="0"/>',
+    '      </xs:sequence>',
+    '      <xs:attribute name="version" type="xs:string" use="required"/>',
+    '      <xs:attribute name="connect_version" type="xs:string" use="required"/>',
+    '    </xs:complexType>',
+    '  </xs:element>',
+    '  <xs:complexType name="resultsummaryType">',
+    ...RESULT_SUMMARY_ATTRIBUTES.map(([name, required]) =>
+      `    <xs:attribute name="${name}" type="xs:string"${required ? ' use="required"' : ''}/>`),
+    '  </xs:complexType>',
+    '  <xs:complexType name="recordsType">',
+    '    <xs:choice minOccurs="0" maxOccurs="unbounded">',
+    ...resourceTypes.map(resourceType => `      <xs:element ref="${resourceType}"/>`),
+    '    </xs:choice>',
+    '  </xs:complexType>',
+    '  <xs:complexType name="errorsType">',
+    '    <xs:sequence>',
+    '      <xs:element name="feedback" type="feedbackType" maxOccurs="unbounded"/>',
+    '    </xs:sequence>',
+    '  </xs:complexType>',
+    '  <xs:complexType name="feedbackType">',
+    ...FEEDBACK_ATTRIBUTES.map(name => `    <xs:attribute name="${name}" type="xs:string"/>`),
+    '  </xs:complexType>',
+    '</xs:schema>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  NAMESPACE,
+  SCHEMA_FILE,
+  listSchemaResourceTypes,
+  getFragmentFile,
+  buildResourceSchema,
+  buildSchema
+};
@@ -0,0 +1,130 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+/**
+ * HTTPS listener certificates
+ *
+ * Real CMCI endpoints are always HTTPS. The mock serves HTTPS when a port is
+ * configured, using the PEM files it is given or a self-signed certificate
+ * generated on first start and kept in the certificate directory. The
+ * generated certificate also acts as a CA for a generated client certificate,
+ * so mutual TLS can be tried without any other tooling.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const selfsigned = require('selfsigned');
+
+const CLIENT_AUTH_MODES = ['none', 'request', 'require'];
+
+// File names used for generated certificates in the certificate directory
+const GENERATED_FILES = {
+  cert: 'server-cert.pem',
+  key: 'server-key.pem',
+  clientCert: 'client-cert.pem',
+  clientKey: 'client-key.pem'
+};
+
+const DEFAULT_CLIENT_CN = 'adminusr';
+
+/**
+ * Generate a self-signed server certificate and a client certificate it signs
+ */
+async function generateCertificates(directory, clientCn) {
+  const days = 3650;
+  const notAfterDate = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  const pems = await selfsigned.generate([{ name: 'commonName', value: 'localhost' }], {
+    keySize: 2048,
+    algorithm: 'sha256',
+    notAfterDate,
+    extensions: [
+      { name: 'basicConstraints', cA: true, critical: true },
+      { name: 'keyUsage', digitalSignature: true, keyEncipherment: true, keyCertSign: true, critical: true },
+      { name: 'extKeyUsage', serverAuth: true, clientAuth: true },
+      { name: 'subjectAltName', altNames: [{ type: 2, value: 'localhost' }, { type: 7, ip: '127.0.0.1' }] }
+    ],
+    clientCertificate: { cn: clientCn, algorithm: 'sha256', notAfterDate }
+  });
+
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(path.join(directory, GENERATED_FILES.cert), pems.cert);
+  fs.writeFileSync(path.join(directory, GENERATED_FILES.key), pems.private, { mode: 0o600 });
+  fs.writeFileSync(path.join(directory, GENERATED_FILES.clientCert), pems.clientcert);
+  fs.writeFileSync(path.join(directory, GENERATED_FILES.clientKey), pems.clientprivate, { mode: 0o600 });
+}
+
+/**
+ * Build the https.createServer options for the configured certificates
+ * @param {Object} config - { certFile, keyFile, caFile, certDir, clientAuth, clientCn }
+ * Returns { options, generated, files } where files lists the PEM files in use
+ */
+async function loadTlsOptions(config) {
+  const clientAuth = String(config.clientAuth || 'none').toLowerCase();
+  if (!CLIENT_AUTH_MODES.includes(clientAuth)) {
+    throw new Error(`TLS client authentication must be one of ${CLIENT_AUTH_MODES.join(', ')}`);
+  }
+
+  if (Boolean(config.certFile) !== Boolean(config.keyFile)) {
+    throw new Error('TLS_CERT_FILE and TLS_KEY_FILE must be given together');
+  }
+
+  let certFile = config.certFile;
+  let keyFile = config.keyFile;
+  let generated = false;
+
+  if (!certFile) {
+    certFile = path.join(config.certDir, GENERATED_FILES.cert);
+    keyFile = path.join(config.certDir, GENERATED_FILES.key);
+
+    if (!fs.existsSync(certFile) || !fs.existsSync(keyFile)) {
+      await generateCertificates(config.certDir, config.clientCn || DEFAULT_CLIENT_CN);
+      generated = true;
+    }
+  }
+
+  // Client certificates are verified against the given CA, or the server certificate that signed the generated one
+  const caFile = config.caFile || certFile;
+
+  const options = {
+    cert: fs.readFileSync(certFile),
+    key: fs.readFileSync(keyFile)
+  };
+
+  if (clientAuth !== 'none') {
+    options.ca = fs.readFileSync(caFile);
+    options.requestCert = true;
+    // With 'request', unverified clients still connect and can log in another way
+    options.rejectUnauthorized = clientAuth === 'require';
+  }
+
+  return {
+    options,
+    generated,
+    clientAuth,
+    files: { cert: certFile, key: keyFile, ca: clientAuth !== 'none' ? caFile : null }
+  };
+}
+
+/**
+ * Get the common name of a verified client certificate on a TLS request, or null
+ */
+function getClientCertificateCn(req) {
+  const socket = req.socket;
+
+  if (!socket || typeof socket.getPeerCertificate !== 'function' || !socket.authorized) {
+    return null;
+  }
+
+  const certificate = socket.getPeerCertificate();
+  return certificate?.subject?.CN || null;
+}
+
+module.exports = {
+  CLIENT_AUTH_MODES,
+  GENERATED_FILES,
+  loadTlsOptions,
+  getClientCertificateCn
+};
@@ -0,0 +1,220 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+/**
+ * CICSplex / region topology
+ *
+ * Describes the CICS estate behind the mock: the CICSplexes (with their CMAS,
+ * regions and region groups) and any stand-alone SMSS regions. Requests are
+ * resolved against it to turn the `/{context}/{scope}` segments of a CMCI URL
+ * into the list of regions the request applies to.
+ *
+ * A topology file is JSON of the form:
+ * {
+ *   "defaultContext": "PLEX1",
+ *   "plexes": [{
+ *     "name": "PLEX1", "cmas": "MYCMAS",
+ *     "regions": ["REGION1", { "name": "REGION2", "applid": "APPLID2", "status": "INACTIVE" }],
+ *     "groups": [{ "name": "RGROUP1", "regions": ["REGION1", "REGION2"] }]
+ *   }],
+ *   "smssRegions": ["SMSSRGN1"]
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TOPOLOGY = {
+  defaultContext: 'PLEX1',
+  plexes: [
+    {
+      name: 'PLEX1',
+      cmas: 'MYCMAS',
+      regions: ['REGION1', 'REGION2', 'REGION3'],
+      groups: [
+        { name: 'RGROUP1', regions: ['REGION1', 'REGION2'] }
+      ]
+    },
+    {
+      name: 'PLEX2',
+      cmas: 'MYCMAS',
+      regions: ['REGION4', 'REGION5'],
+      groups: []
+    }
+  ],
+  smssRegions: ['SMSSRGN1']
+};
+
+class TopologyError extends Error {
+  /**
+   * @param {string|null} responseName - CMCI response (INVALIDPARM or NOTAVAILABLE), null for a bad topology file
+   * @param {string|null} parameter - the URL segment at fault (CONTEXT or SCOPE), null for a bad topology file
+   */
+  constructor(responseName, parameter, message) {
+    super(message);
+    this.name = 'TopologyError';
+    this.responseName = responseName;
+    this.parameter = parameter;
+  }
+}
+
+/**
+ * Normalise a region given as a name or as { name, applid, status }
+ */
+function normalizeRegion(region) {
+  const config = typeof region === 'string' ? { name: region } : region;
+  const name = String(config.name).toUpperCase();
+
+  return {
+    name,
+    applid: String(config.applid || name).toUpperCase(),
+    status: String(config.status || 'ACTIVE').toUpperCase()
+  };
+}
+
+class Topology {
+  constructor(config = DEFAULT_TOPOLOGY) {
+    this.plexes = (config.plexes || []).map(plex => {
+      const regions = (plex.regions || []).map(normalizeRegion);
+      const regionNames = new Set(regions.map(region => region.name));
+
+      const groups = (plex.groups || []).map(group => {
+        const members = (group.regions || []).map(name => String(name).toUpperCase());
+        const unknown = members.find(name => !regionNames.has(name));
+        if (unknown) {
+          throw new Error(`Region group ${group.name} in ${plex.name} refers to unknown region ${unknown}`);
+        }
+        return { name: String(group.name).toUpperCase(), regions: members };
+      });
+
+      return {
+        name: String(plex.name).toUpperCase(),
+        cmas: String(plex.cmas || 'MYCMAS').toUpperCase(),
+        regions,
+        groups
+      };
+    });
+
+    this.smssRegions = (config.smssRegions || []).map(normalizeRegion);
+    this.defaultContext = config.defaultContext
+      ? String(config.defaultContext).toUpperCase()
+      : (this.plexes[0]?.name || this.smssRegions[0]?.name || null);
+  }
+
+  /**
+   * Load a topology from a JSON file
+   * Throws TopologyError naming the file when it cannot be read or does not describe a topology.
+   */
+  static fromFile(filePath) {
+    try {
+      return new Topology(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch (error) {
+      throw new TopologyError(null, null, `${path.basename(filePath)}: ${error.message}`);
+    }
+  }
+
+  findPlex(name) {
+    const upper = String(name || '').toUpperCase();
+    return this.plexes.find(plex => plex.name === upper) || null;
+  }
+
+  findSmssRegion(name) {
+    const upper = String(name || '').toUpperCase();
+    return this.smssRegions.find(region => region.name === upper || region.applid === upper) || null;
+  }
+
+  isCmas(name) {
+    const upper = String(name || '').toUpperCase();
+    return this.plexes.some(plex => plex.cmas === upper);
+  }
+
+  /**
+   * Find a region by name across all plexes and SMSS regions
+   */
+  findRegion(name) {
+    const upper = String(name || '').toUpperCase();
+    for (const plex of this.plexes) {
+      const region = plex.regions.find(candidate => candidate.name === upper);
+      if (region) {
+        return region;
+      }
+    }
+    return this.findSmssRegion(upper);
+  }
+
+  /**
+   * Resolve the context and scope of a CMCI request
+   * Returns { kind, context, plex, regions } where kind is 'plex', 'smss' or 'cmas'
+   * and regions lists the active regions in scope.
+   * Throws TopologyError when the context or scope does not exist or is not available.
+   */
+  resolve(context, scope) {
+    const contextName = String(context || this.defaultContext || '').toUpperCase();
+    const scopeName = String(scope || '').toUpperCase();
+
+    if (!contextName) {
+      throw new TopologyError('INVALIDPARM', 'CONTEXT', 'No context specified and no default context is configured');
+    }
+
+    let resolved;
+    const plex = this.findPlex(contextName);
+    const smssRegion = plex ? null : this.findSmssRegion(contextName);
+
+    if (plex) {
+      let regions;
+      if (!scopeName || scopeName === plex.name) {
+        regions = plex.regions;
+      } else {
+        const group = plex.groups.find(candidate => candidate.name === scopeName);
+        const region = plex.regions.find(candidate => candidate.name === scopeName);
+
+        if (group) {
+          regions = plex.regions.filter(candidate => group.regions.includes(candidate.name));
+        } else if (region) {
+          regions = [region];
+        } else {
+          throw new TopologyError('INVALIDPARM', 'SCOPE', `Scope ${scopeName} is not defined in CICSplex ${plex.name}`);
+        }
+      }
+      resolved = { kind: 'plex', context: plex.name, plex, regions };
+    } else if (smssRegion) {
+      if (scopeName && scopeName !== smssRegion.name && scopeName !== smssRegion.applid) {
+        throw new TopologyError('INVALIDPARM', 'SCOPE', `Scope ${scopeName} is not valid for region ${smssRegion.name}`);
+      }
+      resolved = { kind: 'smss', context: smssRegion.name, plex: null, regions: [smssRegion] };
+    } else if (this.isCmas(contextName)) {
+      if (scopeName) {
+        throw new TopologyError('INVALIDPARM', 'SCOPE', `Scope is not valid for CMAS context ${contextName}`);
+      }
+      resolved = { kind: 'cmas', context: contextName, plex: null, regions: [] };
+    } else {
+      throw new TopologyError('INVALIDPARM', 'CONTEXT', `Context ${contextName} is not a known CICSplex or region`);
+    }
+
+    const activeRegions = resolved.regions.filter(region => region.status === 'ACTIVE');
+    if (resolved.regions.length > 0 && activeRegions.length === 0) {
+      throw new TopologyError('NOTAVAILABLE', 'SCOPE', `No active regions in scope ${scopeName || resolved.context}`);
+    }
+
+    return { ...resolved, regions: activeRegions };
+  }
+
+  /**
+   * Describe the topology for the admin endpoints
+   */
+  toJSON() {
+    return {
+      defaultContext: this.defaultContext,
+      plexes: this.plexes,
+      smssRegions: this.smssRegions
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_TOPOLOGY,
+  Topology,
+  TopologyError
+};
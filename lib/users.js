@@ -0,0 +1,470 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+/**
+ * User registry
+ *
+ * Describes who may log in and what they may do. Users log in with a fixed
+ * password or, when `otp` is set, with a one-time password. `otp` is true or
+ * a mode, or an object with the mode and its settings:
+ *   reusable   - a code from /auth/generate-otp, valid for `validFor` seconds (default)
+ *   single-use - a code from /auth/generate-otp, valid for one login
+ *   totp       - an RFC 6238 code computed from `secret` (base32, generated when
+ *                missing), with `digits`, `period` and `skew` steps of clock drift
+ *
+ * A user may start out `revoked` (as RACF revokes a user ID after too many
+ * failed logins) or with `passwordExpired`, and may set `maxFailedAttempts`
+ * to override the server's lockout threshold.
+ *
+ * Their permissions are those of their roles plus any of
+ * their own, each of the form:
+ *   { "resourceType": "CICSProgram", "operations": ["read", "update", "action:NEWCOPY"] }
+ *
+ * resourceType may use the * and + wildcards. The operations are read (GET),
+ * create (POST), update (PUT with <update>), delete (DELETE), action:<NAME>
+ * (PUT with <action name="NAME">), action:* for any action and * for all.
+ *
+ * A registry file is JSON or YAML of the form:
+ * {
+ *   "roles": { "readonly": { "permissions": [{ "resourceType": "*", "operations": ["read"] }] } },
+ *   "users": [{ "username": "readusr", "password": "readpas", "roles": ["readonly"] }]
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { wildcardToRegExp } = require('./criteria');
+const { MockRandom } = require('./random');
+const { base32Encode, base32Decode } = require('./otp');
+
+const OPERATIONS = ['read', 'create', 'update', 'delete'];
+
+const OTP_MODES = ['reusable', 'single-use', 'totp'];
+
+const OTP_DEFAULTS = {
+  validFor: 60,
+  digits: 6,
+  period: 30,
+  skew: 1
+};
+
+const DEFAULT_REGISTRY = {
+  roles: {
+    admin: { permissions: [{ resourceType: '*', operations: ['*'] }] },
+    readonly: { permissions: [{ resourceType: '*', operations: ['read'] }] }
+  },
+  users: [
+    { username: 'adminusr', password: 'adminpas', roles: ['admin'] },
+    { username: 'testuser', otp: true, roles: ['admin'] },
+    { username: 'readusr', password: 'readpas', roles: ['readonly'] }
+  ]
+};
+
+class UserRegistryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UserRegistryError';
+  }
+}
+
+/**
+ * Validate an operation, returning it in canonical form (e.g. action:NEWCOPY)
+ */
+function normalizeOperation(operation, owner) {
+  const value = String(operation || '').trim();
+  const lower = value.toLowerCase();
+
+  if (lower === '*' || OPERATIONS.includes(lower)) {
+    return lower;
+  }
+
+  const action = /^action:(\*|[A-Za-z0-9]+)$/.exec(value);
+  if (action) {
+    return `action:${action[1].toUpperCase()}`;
+  }
+
+  throw new UserRegistryError(`${owner}: operation "${value}" must be *, ${OPERATIONS.join(', ')}, action:<NAME> or action:*`);
+}
+
+/**
+ * Validate a list of permissions
+ */
+function normalizePermissions(permissions, owner) {
+  if (permissions === undefined || permissions === null) {
+    return [];
+  }
+
+  if (!Array.isArray(permissions)) {
+    throw new UserRegistryError(`${owner}: permissions must be a list`);
+  }
+
+  return permissions.map(permission => {
+    if (!permission || typeof permission !== 'object' || !permission.resourceType) {
+      throw new UserRegistryError(`${owner}: each permission needs a resourceType`);
+    }
+    if (!Array.isArray(permission.operations) || permission.operations.length === 0) {
+      throw new UserRegistryError(`${owner}: each permission needs a list of operations`);
+    }
+
+    return {
+      resourceType: String(permission.resourceType).toUpperCase(),
+      operations: permission.operations.map(operation => normalizeOperation(operation, owner))
+    };
+  });
+}
+
+/**
+ * Check a setting is a whole number between min and max
+ */
+function checkInteger(value, min, max, owner, name) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new UserRegistryError(`${owner}: ${name} must be a whole number from ${min} to ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Validate the `otp` setting of a user, returning null for password users or
+ * the OTP policy: { mode, validFor } or { mode: 'totp', secret, digits, period, skew }
+ */
+function normalizeOtpPolicy(otp, owner, generateSecret) {
+  if (otp === undefined || otp === null || otp === false) {
+    return null;
+  }
+
+  const config = otp === true ? {} : typeof otp === 'string' ? { mode: otp } : otp;
+  if (typeof config !== 'object') {
+    throw new UserRegistryError(`${owner}: otp must be true, a mode or an object with a mode`);
+  }
+
+  const mode = config.mode === undefined ? 'reusable' : String(config.mode).toLowerCase();
+  if (!OTP_MODES.includes(mode)) {
+    throw new UserRegistryError(`${owner}: otp mode "${config.mode}" must be ${OTP_MODES.join(', ')}`);
+  }
+
+  if (mode !== 'totp') {
+    return {
+      mode,
+      validFor: checkInteger(config.validFor ?? OTP_DEFAULTS.validFor, 1, 86400, owner, 'otp validFor')
+    };
+  }
+
+  const secret = config.secret === undefined || config.secret === null
+    ? generateSecret()
+    : String(config.secret).toUpperCase().replace(/[\s=]/g, '');
+  if (!base32Decode(secret)?.length) {
+    throw new UserRegistryError(`${owner}: otp secret must be base32 text`);
+  }
+
+  return {
+    mode,
+    secret,
+    digits: checkInteger(config.digits ?? OTP_DEFAULTS.digits, 6, 8, owner, 'otp digits'),
+    period: checkInteger(config.period ?? OTP_DEFAULTS.period, 1, 3600, owner, 'otp period'),
+    skew: checkInteger(config.skew ?? OTP_DEFAULTS.skew, 0, 10, owner, 'otp skew')
+  };
+}
+
+/**
+ * Check whether a permission grants an operation, where operation is read,
+ * create, update, delete or action:<NAME>
+ */
+function grants(permission, resourceType, operation) {
+  if (!wildcardToRegExp(permission.resourceType).test(resourceType.toUpperCase())) {
+    return false;
+  }
+
+  return permission.operations.some(granted => granted === '*' || granted === operation ||
+    (granted === 'action:*' && operation.startsWith('action:')));
+}
+
+/**
+ * Describe a user without their password or TOTP secret
+ */
+function describeUser({ password, otp, ...user }) {
+  const { secret, ...policy } = otp || {};
+  return { ...user, otp: otp ? policy : null, hasPassword: password !== null };
+}
+
+class UserRegistry {
+  /**
+   * @param {Object} config - { roles: { name: { permissions } }, users: [{ username, password, otp, roles, permissions }] }
+   * @param {Object} [options] - { random }, the MockRandom that generates missing TOTP secrets
+   */
+  constructor(config = DEFAULT_REGISTRY, { random = new MockRandom() } = {}) {
+    this.random = random;
+    this.roles = new Map(); // Map<name, { name, permissions }>
+    this.users = new Map(); // Map<lowercase username, { username, password, otp, roles, permissions }>
+
+    if (!config || typeof config !== 'object') {
+      throw new UserRegistryError('User registry must be an object with roles and users');
+    }
+    if (config.users !== undefined && !Array.isArray(config.users)) {
+      throw new UserRegistryError('users must be a list');
+    }
+
+    for (const [name, role] of Object.entries(config.roles || {})) {
+      this.setRole(name, role);
+    }
+    for (const user of config.users || []) {
+      this.setUser(user);
+    }
+  }
+
+  /**
+   * Load a registry from a JSON or YAML file
+   */
+  static fromFile(filePath, options) {
+    let config;
+
+    try {
+      const text = fs.readFileSync(filePath, 'utf8');
+      config = path.extname(filePath) === '.json' ? JSON.parse(text) : yaml.load(text);
+    } catch (error) {
+      throw new UserRegistryError(`${path.basename(filePath)}: ${error.message}`);
+    }
+
+    return new UserRegistry(config, options);
+  }
+
+  /**
+   * Add or replace a role
+   */
+  setRole(name, config) {
+    if (!name || typeof name !== 'string') {
+      throw new UserRegistryError('Role name is required');
+    }
+
+    const role = { name, permissions: normalizePermissions(config?.permissions, `role ${name}`) };
+    this.roles.set(name, role);
+    return role;
+  }
+
+  /**
+   * Remove a role no user holds
+   * Returns false when the role does not exist
+   */
+  removeRole(name) {
+    if (!this.roles.has(name)) {
+      return false;
+    }
+
+    const holders = [...this.users.values()].filter(user => user.roles.includes(name));
+    if (holders.length > 0) {
+      throw new UserRegistryError(`Role ${name} is held by ${holders.map(user => user.username).join(', ')}`);
+    }
+
+    return this.roles.delete(name);
+  }
+
+  /**
+   * Add or replace a user
+   */
+  setUser(config) {
+    if (!config || typeof config !== 'object' || !config.username) {
+      throw new UserRegistryError('Each user needs a username');
+    }
+
+    const username = String(config.username);
+    const otp = normalizeOtpPolicy(config.otp, `user ${username}`,
+      () => base32Encode(this.random.derive(`totp/${username.toLowerCase()}`, 20)));
+    const password = config.password === undefined || config.password === null ? null : String(config.password);
+
+    if ((otp !== null) === (password !== null)) {
+      throw new UserRegistryError(`user ${username}: give either a password or "otp": true`);
+    }
+
+    const roles = config.roles === undefined ? [] : config.roles;
+    if (!Array.isArray(roles)) {
+      throw new UserRegistryError(`user ${username}: roles must be a list`);
+    }
+    const unknownRole = roles.find(role => !this.roles.has(role));
+    if (unknownRole !== undefined) {
+      throw new UserRegistryError(`user ${username}: role ${unknownRole} is not defined`);
+    }
+
+    if (config.passwordExpired && password === null) {
+      throw new UserRegistryError(`user ${username}: only users with a password can have passwordExpired`);
+    }
+
+    const user = {
+      username,
+      password,
+      otp,
+      roles: [...roles],
+      permissions: normalizePermissions(config.permissions, `user ${username}`),
+      revoked: Boolean(config.revoked),
+      passwordExpired: Boolean(config.passwordExpired),
+      maxFailedAttempts: config.maxFailedAttempts === undefined || config.maxFailedAttempts === null
+        ? null
+        : checkInteger(config.maxFailedAttempts, 0, 1000, `user ${username}`, 'maxFailedAttempts'),
+      failedAttempts: 0
+    };
+
+    this.users.set(username.toLowerCase(), user);
+    return user;
+  }
+
+  removeUser(username) {
+    return this.users.delete(String(username).toLowerCase());
+  }
+
+  getUser(username) {
+    return username ? this.users.get(String(username).toLowerCase()) || null : null;
+  }
+
+  /**
+   * Check the password of a user who logs in with a fixed password
+   */
+  checkPassword(username, password) {
+    const user = this.getUser(username);
+    return Boolean(user && !user.otp && password && user.password === password);
+  }
+
+  isOtpUser(username) {
+    return Boolean(this.getUser(username)?.otp);
+  }
+
+  /**
+   * Get the OTP policy of a user, or null for users with a fixed password
+   */
+  getOtpPolicy(username) {
+    return this.getUser(username)?.otp || null;
+  }
+
+  /**
+   * Count a failed login, revoking the user once they reach their threshold
+   * (their maxFailedAttempts, else `threshold`; 0 never revokes)
+   * Returns the user, or null for unknown users
+   */
+  recordFailedLogin(username, threshold) {
+    const user = this.getUser(username);
+
+    if (!user) {
+      return null;
+    }
+
+    user.failedAttempts++;
+    const limit = user.maxFailedAttempts ?? threshold;
+    if (limit > 0 && user.failedAttempts >= limit) {
+      user.revoked = true;
+    }
+
+    return user;
+  }
+
+  /**
+   * Forget the failed logins of a user who logged in
+   */
+  recordLogin(username) {
+    const user = this.getUser(username);
+
+    if (user) {
+      user.failedAttempts = 0;
+    }
+  }
+
+  /**
+   * Resume a revoked user, as ALTUSER RESUME does
+   * Returns the user, or null for unknown users
+   */
+  unlock(username) {
+    const user = this.getUser(username);
+
+    if (user) {
+      user.revoked = false;
+      user.failedAttempts = 0;
+    }
+
+    return user;
+  }
+
+  /**
+   * Revoke a user, as ALTUSER REVOKE does
+   * Returns the user, or null for unknown users
+   */
+  revoke(username) {
+    const user = this.getUser(username);
+
+    if (user) {
+      user.revoked = true;
+    }
+
+    return user;
+  }
+
+  /**
+   * Set or clear the expired state of a user's password
+   */
+  setPasswordExpired(username, expired) {
+    const user = this.getUser(username);
+
+    if (user && user.password === null) {
+      throw new UserRegistryError(`${user.username} does not log in with a password`);
+    }
+    if (user) {
+      user.passwordExpired = expired;
+    }
+
+    return user;
+  }
+
+  /**
+   * Change the password of a user, which no longer counts as expired
+   */
+  changePassword(username, newPassword) {
+    const user = this.getUser(username);
+    const password = newPassword === undefined || newPassword === null ? '' : String(newPassword);
+
+    if (!user || user.password === null) {
+      throw new UserRegistryError(`${username} does not log in with a password`);
+    }
+    if (!password || password === user.password) {
+      throw new UserRegistryError('The new password must be given and differ from the current one');
+    }
+
+    user.password = password;
+    user.passwordExpired = false;
+    return user;
+  }
+
+  /**
+   * Check whether a user may perform an operation on a resource type
+   */
+  isPermitted(username, resourceType, operation) {
+    const user = this.getUser(username);
+
+    if (!user) {
+      return false;
+    }
+
+    const permissions = [
+      ...user.roles.flatMap(role => this.roles.get(role)?.permissions || []),
+      ...user.permissions
+    ];
+
+    return permissions.some(permission => grants(permission, resourceType, operation));
+  }
+
+  /**
+   * Describe the registry for /admin/users, without passwords
+   */
+  list() {
+    return {
+      roles: [...this.roles.values()],
+      users: [...this.users.values()].map(describeUser)
+    };
+  }
+}
+
+module.exports = {
+  OPERATIONS,
+  OTP_MODES,
+  DEFAULT_REGISTRY,
+  UserRegistryError,
+  UserRegistry,
+  describeUser
+};
@@ -9,36 +9,43 @@
  * This mock server simulates the CICS CMCI REST API for testing and development
  * purposes. It handles XML requests/responses and includes caching and authentication
  * mechanisms similar to a real CICS system.
+ *
+ * Run it with `node server.js`, or require it and call createMockServer() to run
+ * isolated instances in-process, e.g. one per test file.
  */
 
 const express = require('express');
+const http = require('http');
+const https = require('https');
+const path = require('path');
 const cors = require('cors');
 const crypto = require('crypto');
 const xml2js = require('xml2js');
 const cookieParser = require('cookie-parser');
-
-const app = express();
-const PORT = process.env.PORT || 9080;
-
-// Middleware
-app.use(cors());
-app.use(cookieParser());
-app.use(express.text({ type: 'application/xml' }));
-app.use(express.json());
-app.use(express.raw({ type: 'application/xml' }));
-
-// In-memory storage for caching and sessions
-const cache = new Map(); // Basic cache storage (legacy)
-const sessions = new Map();
-const ltpaTokens = new Map(); // Map LtpaToken2 values to sessionIds
-const otpStorage = new Map(); // Map<username, {otp: string, expiresAt: Date}>
-
-// Enhanced retained result sets storage
-const retainedResultSets = new Map(); // Map<cacheToken, RetainedResultSet>
+const { ResourceStore } = require('./lib/resource-store');
+const { generateMockData } = require('./lib/mock-data');
+const { getAction, getActionRefusal, listActions, getActionParameters } = require('./lib/actions');
+const { CriteriaError, parseCriteria, evaluateCriteria, getCriteriaAttributes, wildcardToRegExp } = require('./lib/criteria');
+const { ParameterError, isDefinitionType, parseParameter, buildParameterFilter, validateParameter } = require('./lib/parameter');
+const { Topology, TopologyError } = require('./lib/topology');
+const { FixtureError, loadFixtures, applyFixtures } = require('./lib/fixtures');
+const { FaultError, FaultRegistry, pickLatency, corruptBody } = require('./lib/faults');
+const { loadTlsOptions, getClientCertificateCn } = require('./lib/tls');
+const { RequestError, readRequest, readAttributes, validateCreateAttributes, validateUpdateAttributes } = require('./lib/request-schema');
+const { SCHEMA_FILE, buildSchema, buildResourceSchema } = require('./lib/schema');
+const { IN_USE_REFUSAL, isInstallAction, getInstallTarget, buildInstalledAttributes, isInstalledResourceInUse } = require('./lib/install');
+const { MockRandom } = require('./lib/random');
+const { UserRegistry, UserRegistryError, describeUser } = require('./lib/users');
+const { RESPONSES, findResponse, getReason, buildFeedback } = require('./lib/responses');
+const { generateTotp, findTotpStep, getTimeStep, buildOtpauthUri } = require('./lib/otp');
+const { OrderByError, parseOrderBy, sortRecords } = require('./lib/orderby');
+
+// How long a retained result set lives without being accessed (15 minutes as per IBM docs)
+const RETAINED_RESULT_SET_EXPIRY = 15 * 60 * 1000;
 
 // Structure for retained result sets
 class RetainedResultSet {
-  constructor(resourceType, data, sessionId, query = {}) {
+  constructor(resourceType, data, sessionId, query = {}, expiry = RETAINED_RESULT_SET_EXPIRY) {
     this.resourceType = resourceType;
     this.data = data; // Array of all records
     this.sessionId = sessionId; // Only the creating session can access
@@ -46,12 +53,17 @@ class RetainedResultSet {
     this.lastAccessed = new Date();
     this.query = query; // Original query parameters
     this.totalRecords = data.length;
+    this.expiry = expiry; // Milliseconds without access until the result set expires
+  }
+
+  // Time the result set expires unless it is accessed before
+  expiresAt() {
+    return new Date(this.lastAccessed.getTime() + this.expiry);
   }
 
-  // Check if the result set has expired (15 minutes as per IBM docs)
+  // Check if the result set has expired
   isExpired() {
-    const fifteenMinutes = 15 * 60 * 1000;
-    return (new Date() - this.lastAccessed) > fifteenMinutes;
+    return (new Date() - this.lastAccessed) > this.expiry;
   }
 
   // Update last accessed time
@@ -59,25 +71,12 @@ class RetainedResultSet {
     this.lastAccessed = new Date();
   }
 
-  // Get a subset of records with pagination
-  getRecords(index = 1, count = null, orderBy = null) {
+  // Get a subset of records with pagination, optionally filtered by a parsed CRITERIA expression
+  // and sorted by parsed ORDERBY keys
+  getRecords(index = 1, count = null, orderBy = null, criteria = null) {
     this.touch();
 
-    let records = [...this.data];
-
-    // Apply ordering if specified
-    if (orderBy) {
-      const orderFields = orderBy.split(',').map(f => f.trim());
-      records.sort((a, b) => {
-        for (const field of orderFields) {
-          const aVal = a.$?.[field] || '';
-          const bVal = b.$?.[field] || '';
-          if (aVal < bVal) return -1;
-          if (aVal > bVal) return 1;
-        }
-        return 0;
-      });
-    }
+    const records = sortRecords(this.data.filter(record => evaluateCriteria(criteria, record)), this.resourceType, orderBy);
 
     // Apply pagination (1-based indexing as per IBM docs)
     const startIndex = Math.max(0, index - 1);
@@ -85,41 +84,17 @@ class RetainedResultSet {
 
     return {
       records: records.slice(startIndex, endIndex),
-      displayedCount: endIndex - startIndex,
-      totalCount: this.totalRecords
+      displayedCount: Math.max(0, endIndex - startIndex),
+      totalCount: criteria ? records.length : this.totalRecords
     };
   }
 }
 
-// Cleanup expired retained result sets every 5 minutes
-setInterval(() => {
-  const expiredTokens = [];
-  for (const [token, resultSet] of retainedResultSets.entries()) {
-    if (resultSet.isExpired()) {
-      expiredTokens.push(token);
-    }
-  }
-
-  for (const token of expiredTokens) {
-    retainedResultSets.delete(token);
-    console.log(`🗑️  Expired retained result set: ${token}`);
-  }
-
-  if (expiredTokens.length > 0) {
-    console.log(`♻️  Cleaned up ${expiredTokens.length} expired result sets`);
-  }
-}, 5 * 60 * 1000); // Run every 5 minutes
-
 // CICS CMCI Constants (mirroring the SDK constants)
 const CMCI_CONSTANTS = {
   CICS_SYSTEM_MANAGEMENT: 'CICSSystemManagement',
-  RESPONSE_CODES: {
-    OK: '1024',
-    NODATA: '1027',
-    INVALIDPARM: '1028',
-    NOTAVAILABLE: '1034',
-    INVALIDDATA: '1041'
-  },
+  // api_response1 codes by name, from the catalogue in lib/responses.js
+  RESPONSE_CODES: Object.fromEntries(Object.entries(RESPONSES).map(([name, { code }]) => [name, code])),
   SUCCESS_RESPONSE_2: '0'
 };
 
@@ -165,26 +140,38 @@ const xmlParser = new xml2js.Parser({
   normalizeTags: true
 });
 
+/**
+ * Generate tokens until one is not already in use
+ * Seeded streams repeat across seeds and restarts, so a fresh token may already be taken.
+ */
+function generateUnusedToken(generate, inUse) {
+  let token;
+  do {
+    token = generate();
+  } while (inUse(token));
+  return token;
+}
+
 /**
  * Generate a cache token for result caching
  */
-function generateCacheToken() {
-  return crypto.randomBytes(8).toString('hex').toUpperCase();
+function generateCacheToken(random) {
+  return random.hex('cachetoken', 8);
 }
 
 /**
  * Generate a session token for authentication
  */
-function generateSessionToken() {
-  return crypto.randomBytes(16).toString('hex').toUpperCase();
+function generateSessionToken(random) {
+  return random.hex('session', 8);
 }
 
 /**
  * Generate a dummy LtpaToken2 for cookie-based authentication
  */
-function generateLtpaToken2() {
+function generateLtpaToken2(random) {
   // Generate a realistic-looking LtpaToken2 (base64-encoded like real IBM tokens)
-  const tokenData = crypto.randomBytes(64).toString('base64');
+  const tokenData = random.take('ltpatoken2', 64).toString('base64');
   return tokenData.replace(/[+/=]/g, function(match) {
     switch (match) {
       case '+': return '-';
@@ -196,69 +183,25 @@ function generateLtpaToken2() {
 }
 
 /**
- * Generate a 6-digit OTP that expires in 5 minutes
- * Reuses existing valid OTP if available
+ * Hide all but the first characters of a token in admin listings
  */
-function generateOTP(username) {
-  // Check if there's already a valid OTP for this user
-  const existing = otpStorage.get(username);
-
-  if (existing && new Date() < existing.expiresAt) {
-    const remainingTime = Math.ceil((existing.expiresAt - new Date()) / 1000);
-    console.log(`Reusing existing OTP for ${username}: ${existing.otp} (${remainingTime} seconds remaining)`);
-    return existing.otp;
-  }
-
-  // Clean up expired OTP if it exists
-  if (existing) {
-    otpStorage.delete(username);
-  }
-
-  // Generate new OTP
-  const otp = Math.floor(100000 + Math.random() * 900000).toString(); // 6-digit OTP
-  const expiresAt = new Date(Date.now() + 1 * 60 * 1000); // 1 minute from now
-
-  otpStorage.set(username, { otp, expiresAt });
-  console.log(`Generated new OTP for ${username}: ${otp} (valid for 1 minute)`);
-
-  return otp;
+function redactToken(token) {
+  return token ? `${token.substring(0, 4)}****` : token;
 }
 
 /**
- * Validate OTP for a given username
+ * Compare a presented secret with the expected one in constant time
  */
-function validateOTP(username, providedOTP) {
-  const stored = otpStorage.get(username);
-
-  if (!stored) {
-    console.log(`No OTP found for user: ${username}`);
-    return false;
-  }
-
-  if (new Date() > stored.expiresAt) {
-    const expiredTime = Math.ceil((new Date() - stored.expiresAt) / 1000);
-    console.log(`OTP expired for user: ${username} (expired ${expiredTime} seconds ago)`);
-    otpStorage.delete(username); // Clean up expired OTP
-    return false;
-  }
-
-  if (stored.otp === providedOTP) {
-    const remainingTime = Math.ceil((stored.expiresAt - new Date()) / 1000);
-    console.log(`OTP validated successfully for user: ${username} (had ${remainingTime} seconds remaining)`);
-    // For now, we need to reuse the OTP for testing purposes
-    // TODO: Uncomment this when we want to use single-use OTPs
-    // otpStorage.delete(username); // OTP is single-use
-    return true;
-  }
-
-  console.log(`Invalid OTP provided for user: ${username}`);
-  return false;
+function secretsMatch(presented, expected) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(presented), digest(expected));
 }
 
 /**
  * Create XML response wrapper with standard CMCI structure
+ * `feedback` lists the <feedback> attributes of changes target regions refused, reported in <errors>
  */
-function createXMLResponse(resultSummary, records = null) {
+function createXMLResponse(resultSummary, records = null, feedback = null) {
   const response = {
     $: {
       xmlns: 'http://www.ibm.com/xmlns/prod/CICS/smw2int',
@@ -276,978 +219,2887 @@ function createXMLResponse(resultSummary, records = null) {
     response.records = records;
   }
 
+  if (feedback && feedback.length > 0) {
+    response.errors = { feedback: feedback.map(attributes => ({ $: attributes })) };
+  }
+
   return `<?xml version="1.0" encoding="UTF-8"?>\n${xmlBuilder.buildObject(response)}`;
 }
 
 /**
- * Parse resource type from URI path
+ * Send a CMCI error response that carries no records
+ * Without `response2`, api_response2 is the reason code of the target named by
+ * response2Alt ("TARGET: message"), e.g. INVALIDPARM "CRITERIA: ..." gives 10
  */
-function parseResourceFromPath(path) {
-  const parts = path.split('/');
-  const cmciIndex = parts.indexOf(CMCI_CONSTANTS.CICS_SYSTEM_MANAGEMENT);
-
-  if (cmciIndex !== -1 && cmciIndex + 1 < parts.length) {
-    return parts[cmciIndex + 1].toLowerCase();
-  }
+function sendCMCIError(res, httpStatus, apiFunction, responseName, response2Alt = '', response2 = null) {
+  return res.status(httpStatus).set('Content-Type', 'application/xml').send(
+    createXMLResponse({
+      api_function: apiFunction,
+      api_response1: CMCI_CONSTANTS.RESPONSE_CODES[responseName],
+      api_response2: response2 ?? getReason(responseName, response2Alt.split(':')[0]),
+      api_response1_alt: responseName,
+      api_response2_alt: response2Alt,
+      recordcount: '0'
+    })
+  );
+}
 
-  return null;
+/**
+ * Send the CMCI error for a request body that failed validation
+ */
+function sendRequestError(res, apiFunction, error) {
+  res.app.locals.logger.log(`❌ Invalid ${apiFunction} request: ${error.message}`);
+  return sendCMCIError(res, 400, apiFunction, error.responseName, `${error.target}: ${error.message}`, error.response2);
 }
 
 /**
- * Generate mock data for different resource types
+ * Parse the CRITERIA query parameter
+ * Returns { criteria } on success or { error } with the text for api_response2_alt
  */
-function generateMockData(resourceType, count = 1) {
-  const mockData = [];
-
-  for (let i = 0; i < count; i++) {
-    let record;
-
-    switch (resourceType) {
-      case 'cicsmanagedregion':
-        record = {
-          $: {
-            _keydata: crypto.randomBytes(8).toString('hex').toUpperCase(),
-            actvtime: '',
-            ainsfail: 'CONTINUE',
-            applid: `REGION${i + 1}`,
-            autoinst: 'NEVER',
-            bastrace: '00000000',
-            botrsupd: '1',
-            chetrace: '00000000',
-            cicsname: `REGION${i + 1}`,
-            cicssamp: '0',
-            cicsstate: 'ACTIVE',
-            cmasname: 'MYCMAS',
-            comtrace: '00000000',
-            connsamp: '0',
-            cpsmver: '0620',
-            dattrace: '00000000',
-            daylghtsv: 'NO',
-            dbxsamp: '0',
-            desc: `Mock region ${i + 1}`,
-            filesamp: '0',
-            glblsamp: '0',
-            host: '',
-            jrnlsamp: '0',
-            knltrace: '00000000',
-            mastrace: '00000000',
-            mastype: 'LOCAL',
-            monstatus: 'NO',
-            msgtrace: '00000000',
-            mxtaction: '',
-            mxtsev: 'HS',
-            networkid: '',
-            nrmaction: '',
-            nrmsev: 'N_A',
-            port: '',
-            pricmas: '',
-            progsamp: '0',
-            quetrace: '00000000',
-            readrs: '200',
-            retention: '0',
-            rtastatus: 'SAM',
-            rtatrace: '00000000',
-            samaction: '',
-            samsev: 'VHS',
-            sdmaction: '',
-            sdmsev: 'VHS',
-            secbypass: 'NO',
-            seccmdchk: 'NO',
-            secreschk: 'NO',
-            sosaction: '',
-            sossev: 'HS',
-            srvtrace: '00000000',
-            stlaction: '',
-            stlsev: 'VHS',
-            tdmaction: '',
-            tdmsev: 'HW',
-            tdqsamp: '0',
-            termsamp: '0',
-            tmezone: 'Z'
-          }
-        };
-        break;
-
-      case 'cicscicsplex':
-        record = {
-          $: {
-            _keydata: crypto.randomBytes(16).toString('hex').toUpperCase(),
-            accesstype: 'LOCAL',
-            botrsupd: '1',
-            cmasname: 'REGION1',
-            mpstatus: 'YES',
-            plexname: `PLEX${i + 1}`,
-            readrs: '200',
-            rspoolid: 'DFHRSTAT',
-            status: 'ACTIVE',
-            sysid: 'EPCM',
-            toprsupd: '5',
-            transitcmas: '',
-            transitcnt: '0',
-            updaters: '15'
-          }
-        };
-        break;
-
-      case 'cicsdefinitionprogram':
-        record = {
-          $: {
-            _keydata: crypto.randomBytes(8).toString('hex').toUpperCase(),
-            program: `PROG${String(i + 1).padStart(3, '0')}`,
-            language: 'COBOL',
-            length: '12345',
-            reload: 'NO',
-            resident: 'NO',
-            status: 'ENABLED',
-            usage: 'NORMAL',
-            uselpacopy: 'NO'
-          }
-        };
-        break;
-
-      default:
-        record = {
-          $: {
-            _keydata: crypto.randomBytes(8).toString('hex').toUpperCase(),
-            name: `${resourceType.toUpperCase()}${i + 1}`,
-            status: 'ACTIVE'
-          }
-        };
+function resolveCriteria(query) {
+  try {
+    return { criteria: parseCriteria(query.CRITERIA ?? query.criteria) };
+  } catch (error) {
+    if (error instanceof CriteriaError) {
+      return { error: `CRITERIA: ${error.message}` };
     }
-
-    mockData.push(record);
+    throw error;
   }
-
-  return mockData;
 }
 
 /**
- * Authentication middleware
+ * Parse the count or index query parameter: the most records a GET returns, or the 1-based record it starts at
+ * Returns { value }, null when not given, or { error } with the text for api_response2_alt,
+ * whose COUNT or INDEX target gives the reason code
  */
-function authenticateSession(req, res, next) {
-  const authHeader = req.headers.authorization;
-  const ltpaToken = req.headers.ltpatoken2 || req.headers.LtpaToken2 || req.cookies.LtpaToken2;
-  console.log('authHeader', authHeader);
-  console.log('ltpaToken', ltpaToken);
-  console.log('req.headers', JSON.stringify(req.headers, null, 2));
-  console.log('req.cookies', JSON.stringify(req.cookies, null, 2));
-
-  // Check for LtpaToken2 in headers or cookies first
-  if (ltpaToken) {
-    const sessionId = ltpaTokens.get(ltpaToken);
-
-    if (sessionId && sessions.has(sessionId)) {
-      const session = sessions.get(sessionId);
-      // Update last activity
-      session.lastActivity = new Date();
-      sessions.set(sessionId, session);
-
-      req.sessionId = sessionId;
-      req.username = session.username;
-      req.authenticatedViaToken = true;
-
-      console.log(`Authenticated user: ${session.username} with LtpaToken2 session: ${sessionId}`);
-      return next();
-    } else {
-      console.log(`Invalid or expired LtpaToken2: ${ltpaToken}`);
-      if (!authHeader)
-        return res.status(401).json({ error: 'Invalid or expired LtpaToken2' });
-    }
+function resolveRecordNumber(target, value) {
+  if (value === undefined) {
+    return { value: null };
   }
 
-  if (!authHeader) {
-    // No auth header - require authentication for CMCI endpoints
-    console.log('❌ No authorization header provided - authentication required');
-    return res.status(401).json({ error: 'Authentication required' });
+  if (Array.isArray(value) || !/^\d+$/.test(value) || Number(value) < 1) {
+    const expected = target === 'COUNT' ? 'a positive number of records' : 'a record number';
+    return { error: `${target}: '${value}' is not ${expected}` };
   }
 
-  // Simple Basic Auth simulation
-  if (authHeader.startsWith('Basic ')) {
-    const credentials = Buffer.from(authHeader.substring(6), 'base64').toString();
-    const [username, password] = credentials.split(':');
-
-    // Validate against allowed credentials (static auth only for admin)
-    const validCredentials = {
-      'adminusr': 'adminpas'
-    };
+  return { value: Number(value) };
+}
 
-    // Handle different authentication methods
-    let isAuthenticated = false;
+/**
+ * Parse the ORDERBY query parameter
+ * Returns { orderBy } on success or { error } with the text for api_response2_alt
+ */
+function resolveOrderBy(query) {
+  try {
+    return { orderBy: parseOrderBy(query.ORDERBY ?? query.orderby) };
+  } catch (error) {
+    if (error instanceof OrderByError) {
+      return { error: `ORDERBY: ${error.message}` };
+    }
+    throw error;
+  }
+}
 
-    // Check static credentials (admin only)
-    if (username && password && validCredentials[username] === password) {
-      isAuthenticated = true;
+/**
+ * Parse and validate the PARAMETER query parameter for a resource type
+ * Returns { parameter, filter } on success or { error } with the text for api_response2_alt
+ */
+function resolveParameter(resourceType, query, { required = true } = {}) {
+  try {
+    const parameter = parseParameter(query.PARAMETER ?? query.parameter);
+    if (required || parameter) {
+      validateParameter(resourceType, parameter);
     }
-    // Handle OTP authentication for testuser
-    else if (username === 'testuser' && password) {
-      isAuthenticated = validateOTP(username, password);
+    return { parameter, filter: buildParameterFilter(resourceType, parameter) };
+  } catch (error) {
+    if (error instanceof ParameterError) {
+      return { error: `PARAMETER: ${error.message}` };
     }
+    throw error;
+  }
+}
 
-    if (isAuthenticated) {
-      // Use a deterministic session ID based on username for testing/demo purposes
-      // In production, you'd want proper session management with cookies/tokens
-      const sessionId = crypto.createHash('md5').update(username).digest('hex').substring(0, 16).toUpperCase();
+/**
+ * Place a definition being created in the CSD group or resource group named by PARAMETER
+ * Returns an error message when the group is missing or conflicts with the attributes
+ */
+function applyDefinitionGroup(resourceType, attributes, parameter) {
+  const groupAttributes = { CSDGROUP: 'csdgroup', RESGROUP: 'resgroup' };
 
-      // Check if session already exists and has a valid LtpaToken2
-      let existingSession = sessions.get(sessionId);
-      let ltpaToken2;
+  for (const [keyword, attribute] of Object.entries(groupAttributes)) {
+    const group = parameter?.[keyword];
 
-      if (existingSession && existingSession.ltpaToken2) {
-        // Reuse existing token
-        ltpaToken2 = existingSession.ltpaToken2;
-        console.log(`Reusing existing LtpaToken2 for user: ${username} with session: ${sessionId}`);
-      } else {
-        // Generate new LtpaToken2 for this session
-        ltpaToken2 = generateLtpaToken2();
+    if (group) {
+      if (/[*+]/.test(group)) {
+        return `PARAMETER: ${keyword} must name a single group when creating ${resourceType}`;
+      }
+      if (attributes[attribute] && attributes[attribute].toUpperCase() !== group.toUpperCase()) {
+        return `PARAMETER: ${keyword}(${group}) does not match ${attribute} '${attributes[attribute]}'`;
+      }
+      attributes[attribute] = group;
+    }
 
-        // Clean up any old tokens for this session
-        if (existingSession && existingSession.ltpaToken2) {
-          ltpaTokens.delete(existingSession.ltpaToken2);
-        }
+    // Group names are stored in upper case, whether they come from PARAMETER or the request body
+    if (attributes[attribute]) {
+      attributes[attribute] = attributes[attribute].toUpperCase();
+    }
+  }
 
-        // Map the new LtpaToken2 to the session
-        ltpaTokens.set(ltpaToken2, sessionId);
+  return null;
+}
 
-        console.log(`Generated new LtpaToken2 for user: ${username} with session: ${sessionId}`);
-      }
+/**
+ * Find a CRITERIA attribute that none of the records carry
+ */
+function findUnknownCriteriaAttribute(criteria, records) {
+  if (!criteria || records.length === 0) {
+    return null;
+  }
 
-      // Update session
-      sessions.set(sessionId, {
-        username,
-        loginTime: existingSession?.loginTime || new Date(),
-        lastActivity: new Date(),
-        ltpaToken2
-      });
+  const knownAttributes = new Set(records.flatMap(record => Object.keys(record.$ || {})));
+  return getCriteriaAttributes(criteria).find(attribute => !knownAttributes.has(attribute)) || null;
+}
 
-      req.sessionId = sessionId;
-      req.username = username;
-      req.newLtpaToken = ltpaToken2; // Signal that we should set the cookie
+/**
+ * Find an ORDERBY attribute that none of the records carry
+ */
+function findUnknownOrderByAttribute(orderBy, records) {
+  if (!orderBy || records.length === 0) {
+    return null;
+  }
 
-      // Set the LtpaToken2 cookie in the response
-      res.cookie('LtpaToken2', ltpaToken2, {
-        httpOnly: true,
-        secure: false, // Set to true in production with HTTPS
-        maxAge: 8 * 60 * 60 * 1000, // 8 hours (typical for LTPA tokens)
-        sameSite: 'lax'
-      });
+  const knownAttributes = new Set(records.flatMap(record => Object.keys(record.$ || {})));
+  return orderBy.map(key => key.attribute).find(attribute => !knownAttributes.has(attribute)) || null;
+}
 
-      return next();
-    } else {
-      // Invalid credentials provided (either missing username/password or wrong credentials)
-      console.log(`Authentication failed for user: ${username || 'unknown'}`);
-      return res.status(401).json({ error: 'Invalid username or password' });
-    }
+/**
+ * Parse resource type, context and scope from URI path
+ * Format: /CICSSystemManagement/{resource}[/{context}[/{scope}]]
+ */
+function parseResourceFromPath(path) {
+  const parts = path.split('/');
+  const cmciIndex = parts.indexOf(CMCI_CONSTANTS.CICS_SYSTEM_MANAGEMENT);
+
+  if (cmciIndex !== -1 && cmciIndex + 1 < parts.length && parts[cmciIndex + 1]) {
+    return {
+      resourceType: parts[cmciIndex + 1].toLowerCase(),
+      context: parts[cmciIndex + 2] || '',
+      scope: parts[cmciIndex + 3] || ''
+    };
   }
 
-  res.status(401).json({ error: 'Authentication required' });
+  return { resourceType: null, context: '', scope: '' };
 }
 
 /**
- * CICSResultCache endpoint - Handle retained result set requests
- * Format: /CICSSystemManagement/CICSResultCache/{cachetoken}[/{index}[/{count}]]
+ * Build the records element of a response for a list of records
  */
-app.get(`/${CMCI_CONSTANTS.CICS_SYSTEM_MANAGEMENT}/CICSResultCache/:cachetoken`, authenticateSession, (req, res) => {
-  const { cachetoken } = req.params;
-  const query = req.query;
-  const pathParts = req.path.split('/');
+function buildRecordsData(resourceType, records) {
+  return {
+    [resourceType]: records.length === 1 ? records[0] : records
+  };
+}
 
-  console.log(`GET CICSResultCache ${cachetoken} from session: ${req.sessionId}`);
+/**
+ * Parse an XML request body into a request document
+ * Returns null when no body was sent
+ */
+async function parseRequestBody(body) {
+  if (typeof body !== 'string' || body.trim() === '') {
+    return null;
+  }
 
-  // Find the retained result set
-  const resultSet = retainedResultSets.get(cachetoken);
+  return xmlParser.parseStringPromise(body);
+}
 
-  if (!resultSet) {
-    console.log(`❌ Cache token not found: ${cachetoken}`);
-    return res.status(404).set('Content-Type', 'application/xml').send(
-      createXMLResponse({
-        api_function: 'GET',
-        api_response1: CMCI_CONSTANTS.RESPONSE_CODES.NOTAVAILABLE,
-        api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
-        api_response1_alt: 'NOTAVAILABLE',
-        api_response2_alt: 'Cache token not found',
-        recordcount: '0'
-      })
-    );
-  }
+// Number of mock records generated per region unless options.recordCount says otherwise
+const DEFAULT_RECORD_COUNT = 3;
 
-  // Check session access (security - only creator can access)
-  if (resultSet.sessionId !== req.sessionId) {
-    console.log(`🚫 Access denied for cache token ${cachetoken} - wrong session`);
-    return res.status(403).set('Content-Type', 'application/xml').send(
-      createXMLResponse({
-        api_function: 'GET',
-        api_response1: CMCI_CONSTANTS.RESPONSE_CODES.NOTAVAILABLE,
-        api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
-        api_response1_alt: 'NOTAVAILABLE',
-        api_response2_alt: 'Access denied',
-        recordcount: '0'
-      })
-    );
-  }
+// Most sessions a user holds unless options.maxSessionsPerUser says otherwise
+const DEFAULT_MAX_SESSIONS_PER_USER = 10;
 
-  // Parse index and count from URL path (after cachetoken)
-  // Format: .../CICSResultCache/{token}/{index}/{count}
-  const cacheIndex = pathParts.findIndex(part => part === cachetoken);
-  const index = cacheIndex + 1 < pathParts.length ? parseInt(pathParts[cacheIndex + 1]) : 1;
-  const count = cacheIndex + 2 < pathParts.length ? parseInt(pathParts[cacheIndex + 2]) : null;
-  const orderBy = query.orderby || query.ORDERBY;
+// Most X-Mock-Seed values whose streams are kept between requests
+const MAX_HEADER_SEEDS = 100;
 
-  console.log(`📄 Retrieving from cache: index=${index}, count=${count}, orderby=${orderBy}`);
+// Logger that drops every message, for options.quiet
+const QUIET_LOGGER = { log() {}, error() {} };
 
-  // Get the requested records
-  const { records, displayedCount, totalCount } = resultSet.getRecords(index, count, orderBy);
+// Resource types whose records belong to a CICSplex rather than to a region
+const PLEX_LEVEL_TYPES = ['cicscicsplex', 'cicsregiongroup'];
 
-  const resultSummary = {
-    api_response1: CMCI_CONSTANTS.RESPONSE_CODES.OK,
-    api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
-    api_response1_alt: 'OK',
-    api_response2_alt: '',
-    recordcount: totalCount.toString(),
-    displayed_recordcount: displayedCount.toString()
-  };
+// Resource types with exactly one record per region
+const REGION_LEVEL_TYPES = ['cicsmanagedregion', 'cicsregion'];
 
-  // Keep the result set if NODISCARD is specified
-  const keepCache = query.hasOwnProperty('NODISCARD') || query.hasOwnProperty('nodiscard');
-  if (keepCache) {
-    resultSummary.cachetoken = cachetoken;
-    console.log(`💾 Retaining result set: ${cachetoken}`);
-  } else {
-    // Remove the result set as per IBM docs
-    retainedResultSets.delete(cachetoken);
-    console.log(`🗑️  Discarded result set: ${cachetoken}`);
+// Issuer named in the otpauth:// URIs of TOTP users
+const TOTP_ISSUER = 'CICS CMCI Mock';
+
+/**
+ * Send the CMCI response for a context or scope that could not be resolved
+ */
+function sendTopologyError(res, apiFunction, error) {
+  res.app.locals.logger.log(`❌ ${error.parameter}: ${error.message}`);
+  const httpStatus = error.responseName === 'NOTAVAILABLE' ? 404 : 400;
+  return sendCMCIError(res, httpStatus, apiFunction, error.responseName, `${error.parameter}: ${error.message}`);
+}
+
+/**
+ * Apply the error of a fault rule to a request
+ * Rules without an error let the request through to its handler
+ */
+function applyFaultError(error, req, res, next) {
+  if (!error) {
+    return next();
   }
 
-  // Build response - only include records if not SUMMONLY
-  let recordsData = null;
-  const summOnly = query.hasOwnProperty('SUMMONLY') || query.hasOwnProperty('summonly');
+  switch (error.type) {
+    case 'cmci': {
+      const response = findResponse(error.api_response1);
+      const responseName = error.api_response1_alt || response?.name || '';
+      const httpStatus = error.status ?? response?.httpStatus ?? 400;
+
+      return res.status(httpStatus).set('Content-Type', 'application/xml').send(
+        createXMLResponse({
+          api_function: req.method,
+          api_response1: error.api_response1,
+          api_response2: error.api_response2,
+          api_response1_alt: responseName,
+          api_response2_alt: error.api_response2_alt,
+          recordcount: '0'
+        })
+      );
+    }
 
-  if (!summOnly && records.length > 0) {
-    recordsData = {};
-    if (records.length === 1) {
-      recordsData[resultSet.resourceType] = records[0];
-    } else {
-      recordsData[resultSet.resourceType] = records;
+    case 'feedback':
+      // The PUT handler leaves the records of the refusing regions unchanged and reports them
+      req.feedbackFault = error;
+      return next();
+
+    case 'http':
+      return res.status(error.status).type('text/plain').send(http.STATUS_CODES[error.status] || 'Error');
+
+    case 'truncated':
+    case 'malformed': {
+      // Let the handler build its response, then corrupt the body on the way out
+      const send = res.send.bind(res);
+      res.send = body => send(typeof body === 'string' ? corruptBody(error.type, body) : body);
+      return next();
     }
+
+    case 'drop':
+      req.socket.destroy();
+      return undefined;
   }
 
-  const xmlResponse = createXMLResponse(resultSummary, recordsData);
-  res.set('Content-Type', 'application/xml').send(xmlResponse);
-});
+  return next();
+}
 
 /**
- * GET endpoint - retrieve resources with retained result set support
+ * Create a mock server with its own sessions, caches, fault rules and resource store
+ * Nothing listens and no timers run until start() is called, so each test file can run its own instance.
+ * @param {Object} options - { port, host, httpsPort, tls, topologyFile, fixturesDir, usersFile, recordCount, cleanupInterval, seed,
+ *   retainedResultSetExpiry, maxRetainedResultSets, maxRetainedResultSetsPerSession,
+ *   sessionTimeout, sessionIdleTimeout, stickySessions, maxSessionsPerUser, maxFailedAttempts, warningRecordCount, strictCmci,
+ *   adminToken, adminRole, logger, quiet }
+ *   port defaults to 9080 and may be 0 to listen on any free port; httpsPort enables the HTTPS listener;
+ *   tls is { certFile, keyFile, caFile, certDir, clientAuth, clientCn } as in lib/tls.js.
+ *   recordCount is the number of records generated per region (default: 3); a GET never adds records.
+ *   seed makes the generated keys, tokens and OTPs the same on every run.
+ *   sessionTimeout and sessionIdleTimeout are in milliseconds, 0 for no limit (defaults: 8 hours, none).
+ *   Each Basic login gets its own session and LtpaToken2 unless stickySessions is set; past maxSessionsPerUser
+ *   (default: 10, 0 for no limit) a login ends the user's least recently used sessions.
+ *   usersFile is a user registry (see lib/users.js) replacing the default users.
+ *   maxFailedAttempts failed logins in a row revoke a user (default: 0, never).
+ *   warningRecordCount caps the records of a GET response unless OVERRIDEWARNINGCOUNT is given (default: 0, no cap).
+ *   strictCmci retains result sets only for NODISCARD, as CMCI does, instead of for every GET.
+ *   retainedResultSetExpiry is in milliseconds (default: 15 minutes); maxRetainedResultSets and
+ *   maxRetainedResultSetsPerSession cap the result sets retained in all and by one session (default: 0, no cap).
+ *   adminToken and adminRole protect /admin/*: requests then need the token, or a user holding the role.
+ *   logger ({ log, error }, default: console) receives the request log; quiet drops it, e.g. inside a test runner.
+ *   A TopologyError, FixtureError or UserRegistryError is thrown when topologyFile, fixturesDir or usersFile cannot be loaded.
  */
-app.get(`/${CMCI_CONSTANTS.CICS_SYSTEM_MANAGEMENT}/*`, authenticateSession, (req, res) => {
-  console.log(`GET ${req.path} from session: ${req.sessionId}`);
+function createMockServer(options = {}) {
+  // Where request and lifecycle messages go
+  const logger = options.logger || (options.quiet ? QUIET_LOGGER : console);
 
-  const resourceType = parseResourceFromPath(req.path);
-  const query = req.query;
+  // Directory of fixture files describing a known estate, see lib/fixtures.js
+  const fixturesDir = options.fixturesDir || null;
 
-  if (!resourceType) {
-    const errorResponse = createXMLResponse({
-      api_function: 'GET',
-      api_response1: CMCI_CONSTANTS.RESPONSE_CODES.INVALIDPARM,
-      api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
-      api_response1_alt: 'INVALIDPARM',
-      api_response2_alt: '',
-      recordcount: '0'
-    });
+  // Records generated per region for each resource type, unless fixtures describe the group
+  const recordCount = options.recordCount ?? DEFAULT_RECORD_COUNT;
 
-    return res.status(400).set('Content-Type', 'application/xml').send(errorResponse);
-  }
-
-  // TODO: Uncomment this once the real CMCI (and the CICS VSCE) stop handling cache-misses
-  // if (resourceType === 'cicsresultcache') {
-  //   return res.status(404).set('Content-Type', 'application/xml').send(
-  //     createXMLResponse({
-  //       api_function: 'GET',
-  //       api_response1: CMCI_CONSTANTS.RESPONSE_CODES.NOTAVAILABLE,
-  //       api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
-  //       api_response1_alt: 'NOTAVAILABLE',
-  //       api_response2_alt: 'The result cache token could not be found',
-  //       recordcount: '0'
-  //     })
-  //   );
-  // }
-
-  // Check if this is a cache request using provided cacheToken
-  if (query.cachetoken || query.cacheToken) {
-    const providedToken = query.cachetoken || query.cacheToken;
+  // How often expired retained result sets are removed while the server is started
+  const cleanupInterval = options.cleanupInterval ?? 5 * 60 * 1000;
 
-    // First check retained result sets
-    const retainedSet = retainedResultSets.get(providedToken);
-    if (retainedSet) {
-      // Check session access (security - only creator can access)
-      if (retainedSet.sessionId !== req.sessionId) {
-        console.log(`🚫 Access denied for cache token ${providedToken} - wrong session`);
-        return res.status(403).set('Content-Type', 'application/xml').send(
-          createXMLResponse({
-            api_function: 'GET',
-            api_response1: CMCI_CONSTANTS.RESPONSE_CODES.NOTAVAILABLE,
-            api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
-            api_response1_alt: 'NOTAVAILABLE',
-            api_response2_alt: 'Access denied',
-            recordcount: '0'
-          })
-        );
-      }
+  // How long retained result sets live without being accessed, and how many a session and the server may hold (0 for no limit)
+  const retainedResultSetExpiry = options.retainedResultSetExpiry ?? RETAINED_RESULT_SET_EXPIRY;
+  const maxRetainedResultSetsPerSession = options.maxRetainedResultSetsPerSession ?? 0;
+  const maxRetainedResultSets = options.maxRetainedResultSets ?? 0;
 
-      // Check if expired
-      if (retainedSet.isExpired()) {
-        console.log(`⏰ Cache token expired: ${providedToken}`);
-        retainedResultSets.delete(providedToken);
-        // Continue to generate new response below
-      } else {
-        console.log(`💾 Cache hit for token: ${providedToken}`);
+  // Session lifetimes in milliseconds, from login and since the last request; 0 turns one off
+  const sessionTimeout = options.sessionTimeout ?? 8 * 60 * 60 * 1000; // 8 hours (typical for LTPA tokens)
+  const sessionIdleTimeout = options.sessionIdleTimeout ?? 0;
 
-        // Parse index and count from query params for cached results
-        const index = parseInt(query.index || '1');
-        const count = query.count ? parseInt(query.count) : null;
-        const orderBy = query.orderby || query.ORDERBY;
+  // Whether all logins of a user share one session, as they did before sessions were per login
+  const stickySessions = Boolean(options.stickySessions);
 
-        const { records, displayedCount, totalCount } = retainedSet.getRecords(index, count, orderBy);
+  // Most sessions a user holds at once, so clients logging in on every request do not pile them up (0 for no limit)
+  const maxSessionsPerUser = options.maxSessionsPerUser ?? DEFAULT_MAX_SESSIONS_PER_USER;
 
-        const resultSummary = {
-          api_response1: CMCI_CONSTANTS.RESPONSE_CODES.OK,
-          api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
-          api_response1_alt: 'OK',
-          api_response2_alt: '',
-          recordcount: totalCount.toString(),
-          displayed_recordcount: displayedCount.toString()
-        };
+  // Failed logins in a row that revoke a user, unless their registry entry sets its own; 0 never revokes
+  const maxFailedAttempts = options.maxFailedAttempts ?? 0;
 
-        // Keep the result set if NODISCARD is specified
-        const keepCache = query.hasOwnProperty('NODISCARD') || query.hasOwnProperty('nodiscard');
-        if (keepCache) {
-          resultSummary.cachetoken = providedToken;
-          console.log(`💾 Retaining result set: ${providedToken}`);
-        } else {
-          // Remove the result set as per IBM docs
-          retainedResultSets.delete(providedToken);
-          console.log(`🗑️  Discarded result set: ${providedToken}`);
-        }
+  // Most records a GET returns before answering WARNRECORDCOUNT with a retained result set; 0 for no limit
+  const warningRecordCount = options.warningRecordCount ?? 0;
 
-        // Build response - only include records if not SUMMONLY
-        let recordsData = null;
-        const summOnly = query.hasOwnProperty('SUMMONLY') || query.hasOwnProperty('summonly');
+  // Retain result sets only for NODISCARD and reject CICSResultCache ranges CMCI would, instead of the mock's conveniences
+  const strictCmci = Boolean(options.strictCmci);
 
-        if (!summOnly && records.length > 0) {
-          recordsData = {};
-          if (records.length === 1) {
-            recordsData[retainedSet.resourceType] = records[0];
-          } else {
-            recordsData[retainedSet.resourceType] = records;
-          }
-        }
+  // Credentials the admin API asks for; with neither, /admin/* is open to anyone
+  const adminToken = options.adminToken || null;
+  const adminRole = options.adminRole || null;
 
-        const xmlResponse = createXMLResponse(resultSummary, recordsData);
-        return res.set('Content-Type', 'application/xml').send(xmlResponse);
-      }
-    }
+  // Source of keys, tokens and OTPs, seeded by options.seed for reproducible runs
+  const random = new MockRandom(options.seed);
 
-    // Fall back to legacy cache for backward compatibility
-    const cachedResult = cache.get(providedToken);
-    if (cachedResult) {
-      console.log(`💽 Legacy cache hit for token: ${providedToken}`);
-      return res.set('Content-Type', 'application/xml').send(cachedResult);
-    } else {
-      console.log(`💽 Cache miss/expired for token: ${providedToken} - generating new response`);
-    }
-  }
+  // Sources for seeds given per request in the X-Mock-Seed header, the least recently used dropped past the limit
+  const headerRandoms = new Map(); // Map<seed, MockRandom>
 
-  // Simulate no data scenario
-  if (query.simulate === 'nodata') {
-    const nodataResponse = createXMLResponse({
-      api_source: 'CICSPlex SM',
-      api_function: 'GET',
-      api_response1: CMCI_CONSTANTS.RESPONSE_CODES.NODATA,
-      api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
-      api_response1_alt: 'NODATA',
-      api_response2_alt: '',
-      recordcount: '0'
-    });
+  const app = express();
+  app.locals.logger = logger;
 
-    return res.set('Content-Type', 'application/xml').send(nodataResponse);
-  }
+  // Middleware
+  app.use(cors());
+  app.use(cookieParser());
+  app.use(express.text({ type: ['application/xml', 'text/xml'] }));
+  app.use(express.json());
+  app.use(express.raw({ type: 'application/xml' }));
 
-  // Generate mock data - use larger dataset for better caching demonstration
-  const recordCount = parseInt(query.count || '3');
-  const mockRecords = generateMockData(resourceType, recordCount);
+  // Values generated for a request come from the seed in its X-Mock-Seed header, if any
+  // Header seeds are namespaced so they never give the values of the same options.seed
+  app.use((req, res, next) => {
+    const seed = req.get('X-Mock-Seed');
 
-  const resultSummary = {
-    api_response1: CMCI_CONSTANTS.RESPONSE_CODES.OK,
-    api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
-    api_response1_alt: 'OK',
-    api_response2_alt: '',
-    recordcount: mockRecords.length.toString(),
-    displayed_recordcount: mockRecords.length.toString()
-  };
+    if (!seed) {
+      req.random = random;
+      return next();
+    }
 
-  // Check for existing cache or create new cache token
-  const providedToken = query.cachetoken || query.cacheToken;
-  if (!providedToken) {
-    // Create a unique key for this request based on resource type, session, and query params
-    const requestKey = JSON.stringify({
-      resourceType,
-      sessionId: req.sessionId,
-      count: query.count || '3',
-      simulate: query.simulate,
-      // Include other relevant query params that affect the result
-      summonly: query.hasOwnProperty('SUMMONLY') || query.hasOwnProperty('summonly')
-    });
+    const headerRandom = headerRandoms.get(seed) || new MockRandom(`header:${seed}`);
+    headerRandoms.delete(seed);
+    headerRandoms.set(seed, headerRandom);
+    if (headerRandoms.size > MAX_HEADER_SEEDS) {
+      headerRandoms.delete(headerRandoms.keys().next().value);
+    }
 
-    // Look for existing cache entry for this exact request
-    let existingToken = null;
+    req.random = headerRandom;
+    next();
+  });
+
+  // In-memory storage for caching and sessions
+  const cache = new Map(); // Basic cache storage (legacy)
+  const sessions = new Map();
+  const ltpaTokens = new Map(); // Map LtpaToken2 values to sessionIds
+  const otpStorage = new Map(); // Map<username, {otp: string, mode: string, expiresAt: Date}>
+  const totpSteps = new Map(); // Map<username, last TOTP time step accepted>, so codes cannot be replayed
+
+  // Enhanced retained result sets storage
+  const retainedResultSets = new Map(); // Map<cacheToken, RetainedResultSet>
+
+  /**
+   * Remove expired retained result sets, run every cleanupInterval while started
+   */
+  function cleanupRetainedResultSets() {
+    const expiredTokens = [];
     for (const [token, resultSet] of retainedResultSets.entries()) {
-      if (resultSet.sessionId === req.sessionId &&
-          resultSet.resourceType === resourceType &&
-          JSON.stringify({
-            resourceType: resultSet.resourceType,
-            sessionId: resultSet.sessionId,
-            count: resultSet.query.count || '3',
-            simulate: resultSet.query.simulate,
-            summonly: resultSet.query.hasOwnProperty('SUMMONLY') || resultSet.query.hasOwnProperty('summonly')
-          }) === requestKey) {
-        existingToken = token;
-        break;
+      if (resultSet.isExpired()) {
+        expiredTokens.push(token);
       }
     }
 
-    if (existingToken) {
-      // Reuse existing cache
-      resultSummary.cachetoken = existingToken;
-      console.log(`♻️  Reusing existing cached result set: ${existingToken}`);
-    } else {
-      // Create new cache entry
-      const cacheToken = generateCacheToken();
-      const retainedSet = new RetainedResultSet(resourceType, mockRecords, req.sessionId, query);
-      retainedResultSets.set(cacheToken, retainedSet);
-      resultSummary.cachetoken = cacheToken;
-      console.log(`💾 Auto-created retained result set: ${cacheToken} (${mockRecords.length} records)`);
+    for (const token of expiredTokens) {
+      retainedResultSets.delete(token);
+      logger.log(`🗑️  Expired retained result set: ${token}`);
     }
-  }
 
-  // Handle SUMMONLY - don't return records, just summary
-  let recordsData = null;
-  const summOnly = query.hasOwnProperty('SUMMONLY') || query.hasOwnProperty('summonly');
-
-  if (!summOnly) {
-    // Build records object
-    recordsData = {};
-    if (mockRecords.length === 1) {
-      recordsData[resourceType] = mockRecords[0];
-    } else {
-      recordsData[resourceType] = mockRecords;
+    if (expiredTokens.length > 0) {
+      logger.log(`♻️  Cleaned up ${expiredTokens.length} expired result sets`);
     }
   }
 
-  const xmlResponse = createXMLResponse(resultSummary, recordsData);
+  /**
+   * Count the retained result sets held by each session
+   */
+  function countRetainedResultSetsBySession() {
+    const counts = {};
+    for (const resultSet of retainedResultSets.values()) {
+      counts[resultSet.sessionId] = (counts[resultSet.sessionId] || 0) + 1;
+    }
+    return counts;
+  }
 
-  // Store in legacy cache if explicitly requested (for backward compatibility)
-  if (query.cache === 'true' && !resultSummary.cachetoken) {
-    const legacyCacheToken = generateCacheToken();
-    cache.set(legacyCacheToken, xmlResponse);
-    resultSummary.cachetoken = legacyCacheToken;
-    console.log(`💽 Legacy cached response with token: ${legacyCacheToken}`);
+  /**
+   * Describe the retained result sets held against their limits
+   */
+  function describeRetainedResultSetUsage() {
+    const bySession = countRetainedResultSetsBySession();
+    return {
+      used: retainedResultSets.size,
+      max: maxRetainedResultSets,
+      maxPerSession: maxRetainedResultSetsPerSession,
+      mostPerSession: Math.max(0, ...Object.values(bySession)),
+      expirySeconds: retainedResultSetExpiry / 1000
+    };
   }
 
-  res.set('Content-Type', 'application/xml').send(xmlResponse);
-});
+  /**
+   * Retain the records of a GET for the session, unless the session or the server holds as many
+   * retained result sets as it may. Expired result sets are removed first so they do not count.
+   * Returns { cacheToken } or { error } with the text for api_response2_alt of ENVIRONERROR
+   */
+  function retainResultSet(req, resourceType, records, query) {
+    cleanupRetainedResultSets();
+
+    const sessionCount = countRetainedResultSetsBySession()[req.sessionId] || 0;
+    if (maxRetainedResultSetsPerSession && sessionCount >= maxRetainedResultSetsPerSession) {
+      return { error: `SESSION: The session holds ${sessionCount} retained result sets, the most it may` };
+    }
+    if (maxRetainedResultSets && retainedResultSets.size >= maxRetainedResultSets) {
+      return { error: `SERVER: ${retainedResultSets.size} result sets are retained, the most the server may hold` };
+    }
 
-/**
- * POST endpoint - create resources
- */
-app.post(`/${CMCI_CONSTANTS.CICS_SYSTEM_MANAGEMENT}/*`, authenticateSession, (req, res) => {
-  console.log(`POST ${req.path} from session: ${req.sessionId}`);
+    const cacheToken = generateUnusedToken(() => generateCacheToken(req.random), token => retainedResultSets.has(token));
+    retainedResultSets.set(cacheToken, new RetainedResultSet(resourceType, records, req.sessionId, query, retainedResultSetExpiry));
+    return { cacheToken };
+  }
 
-  const resourceType = parseResourceFromPath(req.path);
+  /**
+   * Find the retained result set a session asks for by its cache token, discarding it once expired
+   * Returns { resultSet }, or { reason } with the NOTAVAILABLE reason there is none: CACHETOKEN when the
+   * token is unknown, SESSION when another session retained it. Strict CMCI reports both as CACHETOKEN.
+   */
+  function findRetainedResultSet(cacheToken, sessionId) {
+    const resultSet = retainedResultSets.get(cacheToken);
+
+    if (resultSet && resultSet.isExpired()) {
+      logger.log(`⏰ Cache token expired: ${cacheToken}`);
+      retainedResultSets.delete(cacheToken);
+      return { reason: 'CACHETOKEN' };
+    }
 
-  if (!resourceType) {
-    const errorResponse = createXMLResponse({
-      api_function: 'POST',
-      api_response1: CMCI_CONSTANTS.RESPONSE_CODES.INVALIDPARM,
-      api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
-      api_response1_alt: 'INVALIDPARM',
-      api_response2_alt: '',
-      recordcount: '0'
-    });
+    // CMCI does not tell a discarded result set from one of another session
+    if (!resultSet || (strictCmci && resultSet.sessionId !== sessionId)) {
+      return { reason: 'CACHETOKEN' };
+    }
 
-    return res.status(400).set('Content-Type', 'application/xml').send(errorResponse);
+    return resultSet.sessionId === sessionId ? { resultSet } : { reason: 'SESSION' };
   }
 
-  // Parse XML payload if provided
-  let parsedBody = null;
-  if (req.body) {
-    try {
-      // For mock purposes, just acknowledge the creation
-      console.log('POST body received:', req.body);
-    } catch (error) {
-      console.error('Error parsing XML body:', error);
-    }
+  /**
+   * Send the CMCI error for a result set that could not be retained
+   */
+  function sendRetainError(res, error) {
+    logger.log(`🚫 Result set not retained - ${error}`);
+    return sendCMCIError(res, 500, 'GET', 'ENVIRONERROR', error);
   }
 
-  const resultSummary = {
-    api_function: 'POST',
-    api_response1: CMCI_CONSTANTS.RESPONSE_CODES.OK,
-    api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
-    api_response1_alt: 'OK',
-    api_response2_alt: '',
-    recordcount: '1',
-    displayed_recordcount: '1'
-  };
+  /**
+   * Check whether a response would carry more records than the warning record count
+   * OVERRIDEWARNINGCOUNT lifts the limit for the request, and SUMMONLY responses carry no records
+   */
+  function exceedsWarningRecordCount(query, recordCount) {
+    return warningRecordCount > 0 && recordCount > warningRecordCount &&
+      !(query.hasOwnProperty('OVERRIDEWARNINGCOUNT') || query.hasOwnProperty('overridewarningcount')) &&
+      !(query.hasOwnProperty('SUMMONLY') || query.hasOwnProperty('summonly'));
+  }
 
-  const xmlResponse = createXMLResponse(resultSummary);
-  res.set('Content-Type', 'application/xml').send(xmlResponse);
-});
+  /**
+   * Answer a GET with WARNRECORDCOUNT: the summary of a result set too large for one response,
+   * with the token of the retained result set to page through with CICSResultCache
+   */
+  function sendWarningRecordCount(res, cacheToken, recordCount) {
+    logger.log(`⚠️  ${recordCount} records exceed the warning record count of ${warningRecordCount} - retained as ${cacheToken}`);
+    return res.set('Content-Type', 'application/xml').send(
+      createXMLResponse({
+        api_function: 'GET',
+        api_response1: CMCI_CONSTANTS.RESPONSE_CODES.WARNRECORDCOUNT,
+        api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
+        api_response1_alt: 'WARNRECORDCOUNT',
+        api_response2_alt: '',
+        recordcount: recordCount.toString(),
+        displayed_recordcount: '0',
+        cachetoken: cacheToken
+      })
+    );
+  }
 
-/**
- * PUT endpoint - update resources
- */
-app.put(`/${CMCI_CONSTANTS.CICS_SYSTEM_MANAGEMENT}/*`, authenticateSession, (req, res) => {
-  console.log(`PUT ${req.path} from session: ${req.sessionId}`);
+  /**
+   * Issue a 6-digit OTP to a user whose policy is reusable or single-use
+   * A reusable OTP is handed out again until it expires; a single-use one is
+   * replaced by every request. Returns { otp, expiresAt, isReused }
+   */
+  function generateOTP(user, random) {
+    const { username } = user;
+    const { mode, validFor } = user.otp;
+    const existing = otpStorage.get(username);
+
+    if (mode === 'reusable' && existing && new Date() < existing.expiresAt) {
+      const remainingTime = Math.ceil((existing.expiresAt - new Date()) / 1000);
+      logger.log(`Reusing existing OTP for ${username}: ${existing.otp} (${remainingTime} seconds remaining)`);
+      return { ...existing, isReused: true };
+    }
 
-  const resourceType = parseResourceFromPath(req.path);
+    const otp = random.int('otp', 100000, 999999).toString(); // 6-digit OTP
+    const expiresAt = new Date(Date.now() + validFor * 1000);
 
-  if (!resourceType) {
-    const errorResponse = createXMLResponse({
-      api_function: 'PUT',
-      api_response1: CMCI_CONSTANTS.RESPONSE_CODES.INVALIDPARM,
-      api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
-      api_response1_alt: 'INVALIDPARM',
-      api_response2_alt: '',
-      recordcount: '0'
-    });
+    otpStorage.set(username, { otp, mode, expiresAt });
+    logger.log(`Generated new ${mode} OTP for ${username}: ${otp} (valid for ${validFor} seconds)`);
 
-    return res.status(400).set('Content-Type', 'application/xml').send(errorResponse);
+    return { otp, mode, expiresAt, isReused: false };
   }
 
-  const resultSummary = {
-    api_function: 'PUT',
-    api_response1: CMCI_CONSTANTS.RESPONSE_CODES.OK,
-    api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
-    api_response1_alt: 'OK',
-    api_response2_alt: '',
-    recordcount: '1',
-    displayed_recordcount: '1'
-  };
+  /**
+   * Validate the OTP a user logs in with, under their OTP policy
+   */
+  function validateOTP(user, providedOTP) {
+    const { username } = user;
 
-  const xmlResponse = createXMLResponse(resultSummary);
-  res.set('Content-Type', 'application/xml').send(xmlResponse);
-});
+    if (user.otp.mode === 'totp') {
+      return validateTOTP(user, providedOTP);
+    }
 
-/**
- * DELETE endpoint - delete resources
- */
-app.delete(`/${CMCI_CONSTANTS.CICS_SYSTEM_MANAGEMENT}/*`, authenticateSession, (req, res) => {
-  console.log(`DELETE ${req.path} from session: ${req.sessionId}`);
+    const stored = otpStorage.get(username);
 
-  const resourceType = parseResourceFromPath(req.path);
+    if (!stored) {
+      logger.log(`No OTP found for user: ${username}`);
+      return false;
+    }
 
-  if (!resourceType) {
-    const errorResponse = createXMLResponse({
-      api_function: 'DELETE',
-      api_response1: CMCI_CONSTANTS.RESPONSE_CODES.INVALIDPARM,
-      api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
-      api_response1_alt: 'INVALIDPARM',
-      api_response2_alt: '',
-      recordcount: '0'
-    });
+    if (new Date() > stored.expiresAt) {
+      const expiredTime = Math.ceil((new Date() - stored.expiresAt) / 1000);
+      logger.log(`OTP expired for user: ${username} (expired ${expiredTime} seconds ago)`);
+      otpStorage.delete(username); // Clean up expired OTP
+      return false;
+    }
+
+    if (stored.otp === providedOTP) {
+      const remainingTime = Math.ceil((stored.expiresAt - new Date()) / 1000);
+      logger.log(`OTP validated successfully for user: ${username} (had ${remainingTime} seconds remaining)`);
+      if (user.otp.mode === 'single-use') {
+        otpStorage.delete(username);
+      }
+      return true;
+    }
+
+    logger.log(`Invalid OTP provided for user: ${username}`);
+    return false;
+  }
+
+  /**
+   * Validate a TOTP code, refusing codes of a time step already used to log in
+   */
+  function validateTOTP(user, providedOTP) {
+    const { username } = user;
+    const step = findTotpStep(user.otp.secret, providedOTP, user.otp);
+
+    if (step === null) {
+      logger.log(`Invalid TOTP code provided for user: ${username}`);
+      return false;
+    }
+
+    if (totpSteps.has(username) && step <= totpSteps.get(username)) {
+      logger.log(`TOTP code replayed for user: ${username}`);
+      return false;
+    }
+
+    totpSteps.set(username, step);
+    logger.log(`TOTP code validated successfully for user: ${username}`);
+    return true;
+  }
+
+  /**
+   * Build the topology configured without fixtures
+   */
+  function loadBaseTopology() {
+    return options.topologyFile ? Topology.fromFile(options.topologyFile) : new Topology();
+  }
+
+  // CICSplex/region topology that contexts and scopes are resolved against
+  // Replaced when fixtures describing a topology are loaded
+  let topology = loadBaseTopology();
+
+  /**
+   * Generate the records seeded into a resource store group
+   * Topology-derived types take their names from the plex or region they describe
+   */
+  function seedRecords(resourceType, count, startIndex, { context, region, random }) {
+    const group = resourceStore.groupKey(resourceType, context, region);
+    const records = generateMockData(resourceType, count, startIndex, { random, group });
+    const plex = topology.findPlex(context);
+    const regionInfo = region ? topology.findRegion(region) : null;
+
+    records.forEach((record, i) => {
+      switch (resourceType) {
+        case 'cicscicsplex':
+          record.$.plexname = plex.name;
+          record.$.cmasname = plex.cmas;
+          break;
+
+        case 'cicsregiongroup': {
+          const group = plex.groups[startIndex + i];
+          record.$.group = group.name;
+          record.$.desc = `Region group ${group.name}`;
+          break;
+        }
+
+        case 'cicsmanagedregion':
+          record.$.cicsname = regionInfo.name;
+          record.$.applid = regionInfo.applid;
+          record.$.desc = `Mock region ${regionInfo.name}`;
+          if (plex) {
+            record.$.cmasname = plex.cmas;
+          }
+          break;
+
+        case 'cicsregion':
+          record.$.applid = regionInfo.applid;
+          record.$.jobname = regionInfo.name;
+          break;
+      }
+
+      if (region) {
+        record.$.eyu_cicsname = region;
+      }
+    });
+
+    return records;
+  }
+
+  // Stateful resource store backing the CMCI routes, seeded from the topology and generateMockData
+  const resourceStore = new ResourceStore(seedRecords, random);
+
+  // Details of the last fixture load, reported by /admin/fixtures
+  let fixtureStatus = null;
+
+  /**
+   * Load the fixture directory into the topology and resource store
+   * Nothing changes when a fixture file is invalid; the FixtureError is thrown to the caller.
+   * Cached and retained results are dropped since they describe the previous estate.
+   */
+  function loadFixtureEstate() {
+    const fixtures = loadFixtures(fixturesDir);
+    let fixtureTopology;
+
+    try {
+      fixtureTopology = fixtures.topology ? new Topology(fixtures.topology) : loadBaseTopology();
+    } catch (error) {
+      throw new FixtureError(fixturesDir, error.message);
+    }
+
+    const recordCount = applyFixtures(fixtures, fixtureTopology, resourceStore);
+    topology = fixtureTopology;
+    cache.clear();
+    retainedResultSets.clear();
+
+    fixtureStatus = {
+      directory: fixturesDir,
+      files: fixtures.files,
+      loadedAt: new Date().toISOString(),
+      topologyFromFixtures: Boolean(fixtures.topology),
+      generate: fixtures.generate,
+      resourceGroups: fixtures.resources.length,
+      recordCount
+    };
+    logger.log(`📂 Loaded ${recordCount} fixture record(s) from ${fixtures.files.length} file(s) in ${fixturesDir}`);
+
+    return fixtureStatus;
+  }
+
+  if (fixturesDir) {
+    loadFixtureEstate();
+  }
+
+  /**
+   * Resolve the context and scope of a request to the resource store groups it covers
+   * Returns { groups: [{ context, region }] } or { error } describing the CMCI failure
+   */
+  function resolveRecordGroups(resourceType, context, scope) {
+    try {
+      if (resourceType === 'cicscicsplex' && !scope && (!context || topology.isCmas(context))) {
+        // CICSplexes are listed from the CMAS (or the default CMAS when no context is given)
+        const cmas = context ? context.toUpperCase() : null;
+        const plexes = topology.plexes.filter(plex => !cmas || plex.cmas === cmas);
+        return { groups: plexes.map(plex => ({ context: plex.name, region: '' })) };
+      }
+
+      const location = topology.resolve(context, scope);
+
+      if (location.kind === 'cmas') {
+        throw new TopologyError('INVALIDPARM', 'CONTEXT', `${resourceType} requires a CICSplex or region context`);
+      }
+
+      if (PLEX_LEVEL_TYPES.includes(resourceType)) {
+        return { groups: location.plex ? [{ context: location.context, region: '' }] : [] };
+      }
+
+      return { groups: location.regions.map(region => ({ context: location.context, region: region.name })) };
+    } catch (error) {
+      if (error instanceof TopologyError) {
+        return { error };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Seed the resource store groups a request covers
+   * `count` applies to generated resource types; topology-derived types have a fixed size
+   */
+  function ensureGroupsSeeded(resourceType, groups, count, random) {
+    for (const group of groups) {
+      let seedCount = count;
+      if (resourceType === 'cicsregiongroup') {
+        seedCount = topology.findPlex(group.context).groups.length;
+      } else if (resourceType === 'cicscicsplex' || REGION_LEVEL_TYPES.includes(resourceType)) {
+        seedCount = 1;
+      }
+      resourceStore.ensureRecords(resourceType, group.context, group.region, seedCount, random);
+    }
+  }
+
+  /**
+   * List the records held in a set of resource store groups
+   */
+  function listGroupRecords(resourceType, groups, filter) {
+    return groups.flatMap(group => resourceStore.list(resourceType, group.context, group.region, filter));
+  }
+
+  /**
+   * Install the definitions matching a filter into the regions that hold them
+   * A region whose resource the install would replace is in use refuses that definition.
+   * Returns { installed, refused } listing the installed definitions and the refused ones with their refusal
+   */
+  function installDefinitions(resourceType, groups, filter, username, random) {
+    const targetType = getInstallTarget(resourceType);
+    const installs = [];
+    const refused = [];
+
+    for (const group of groups) {
+      ensureGroupsSeeded(targetType, [group], recordCount, random);
+      // Only tasks already in the store count, so installing never seeds running tasks
+      const tasks = resourceStore.list('cicstask', group.context, group.region);
+
+      for (const definition of resourceStore.list(resourceType, group.context, group.region, filter)) {
+        const attributes = { ...buildInstalledAttributes(resourceType, definition, random.now()), installusrid: (username || '').toUpperCase() };
+        const existing = resourceStore.find(targetType, group.context, group.region, attributes);
+
+        if (existing && isInstalledResourceInUse(resourceType, existing, { tasks })) {
+          logger.log(`❌ ${targetType} ${definition.$.name} is in use in region ${group.region}`);
+          refused.push({ record: definition, refusal: IN_USE_REFUSAL });
+          continue;
+        }
+        installs.push({ group, definition, attributes });
+      }
+    }
+
+    for (const { group, attributes } of installs) {
+      resourceStore.replace(targetType, group.context, group.region, attributes, random);
+    }
+
+    return { installed: installs.map(({ definition }) => definition), refused };
+  }
+
+  /**
+   * Build the user registry configured at startup
+   */
+  function loadUserRegistry() {
+    return options.usersFile
+      ? UserRegistry.fromFile(options.usersFile, { random })
+      : new UserRegistry(undefined, { random });
+  }
+
+  // Users who may log in, with their roles and permissions
+  let userRegistry = loadUserRegistry();
+
+  /**
+   * Check the user of a request may perform an operation on a resource type, sending NOTPERMIT when not
+   * `operation` is read, create, update, delete or action:<NAME>
+   */
+  function checkPermission(req, res, apiFunction, resourceType, operation) {
+    if (userRegistry.isPermitted(req.username, resourceType, operation)) {
+      return true;
+    }
+
+    const userId = String(req.username || '').toUpperCase();
+    const refused = `${operation.replace(/^action:/, '')} ${resourceType}`;
+    logger.log(`🚫 ${userId} is not permitted to ${refused}`);
+    sendCMCIError(res, 403, apiFunction, 'NOTPERMIT', `${userId}: not permitted to ${refused}`,
+      getReason('NOTPERMIT', operation.split(':')[0]));
+    return false;
+  }
+
+  /**
+   * Work out why a session has expired: 'forced' (through /admin/sessions/expire),
+   * 'timeout' or 'idle'; null while it is still valid
+   */
+  function getSessionExpiry(session, now = new Date()) {
+    if (session.expired) {
+      return 'forced';
+    }
+    if (sessionTimeout && now - session.loginTime > sessionTimeout) {
+      return 'timeout';
+    }
+    if (sessionIdleTimeout && now - session.lastActivity > sessionIdleTimeout) {
+      return 'idle';
+    }
+    return null;
+  }
+
+  /**
+   * End a session, invalidating its LtpaToken2 and dropping its retained result sets
+   */
+  function endSession(sessionId) {
+    const session = sessions.get(sessionId);
+
+    if (!session) {
+      return false;
+    }
+
+    ltpaTokens.delete(session.ltpaToken2);
+    sessions.delete(sessionId);
+
+    for (const [token, resultSet] of retainedResultSets.entries()) {
+      if (resultSet.sessionId === sessionId) {
+        retainedResultSets.delete(token);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * End a user's least recently used sessions until they hold fewer than maxSessionsPerUser,
+   * making room for a new one
+   */
+  function pruneUserSessions(username) {
+    if (!maxSessionsPerUser) {
+      return;
+    }
+
+    const userSessions = [...sessions.entries()]
+      .filter(([, session]) => session.username === username)
+      .sort(([, a], [, b]) => a.lastActivity - b.lastActivity);
+
+    for (const [sessionId] of userSessions.slice(0, Math.max(0, userSessions.length - maxSessionsPerUser + 1))) {
+      logger.log(`♻️  Ending session ${sessionId} of ${username}, the least recently used of ${userSessions.length}`);
+      endSession(sessionId);
+    }
+  }
+
+  /**
+   * End the sessions that have expired, run with the retained result set cleanup
+   */
+  function cleanupExpiredSessions() {
+    const now = new Date();
+    let count = 0;
+
+    for (const [sessionId, session] of sessions.entries()) {
+      if (getSessionExpiry(session, now)) {
+        endSession(sessionId);
+        count++;
+      }
+    }
+
+    if (count > 0) {
+      logger.log(`♻️  Ended ${count} expired session(s)`);
+    }
+  }
+
+  /**
+   * Count a failed login, logging when it revokes the user
+   */
+  function recordFailedLogin(username) {
+    const user = userRegistry.recordFailedLogin(username, maxFailedAttempts);
+
+    if (user?.revoked) {
+      logger.log(`🔒 ${user.username} revoked after ${user.failedAttempts} failed logins`);
+    }
+  }
+
+  /**
+   * Refuse a login by a revoked user ID
+   */
+  function refuseRevokedUser(res, user) {
+    logger.log(`🔒 Login refused, ${user.username} is revoked`);
+    return res.status(401).json({ error: `User ID ${user.username.toUpperCase()} is revoked`, reason: 'revoked' });
+  }
+
+  /**
+   * Refuse a login with an expired password, saying how to change it
+   */
+  function refuseExpiredPassword(res, user) {
+    logger.log(`⌛ Login refused, the password of ${user.username} has expired`);
+    return res.status(401).json({
+      error: `Password of ${user.username.toUpperCase()} has expired`,
+      reason: 'password-expired',
+      usage: 'Log in with "<password>/<new password>" as the password, or POST /auth/change-password'
+    });
+  }
+
+  /**
+   * Find the user an admin request logs in as, by Basic auth or LtpaToken2, without starting a session
+   */
+  function getAdminRequestUser(req) {
+    const authHeader = req.headers.authorization || '';
+
+    if (authHeader.startsWith('Basic ')) {
+      const [username, password] = Buffer.from(authHeader.substring(6), 'base64').toString().split(':');
+      const user = userRegistry.getUser(username);
+
+      if (user && !user.revoked && !user.passwordExpired && userRegistry.checkPassword(username, password)) {
+        return user;
+      }
+      if (!userRegistry.checkPassword(username, password)) {
+        recordFailedLogin(username);
+      }
+      return null;
+    }
+
+    const ltpaToken = req.headers.ltpatoken2 || req.cookies.LtpaToken2;
+    const session = ltpaToken ? sessions.get(ltpaTokens.get(ltpaToken)) : null;
+    return session && !getSessionExpiry(session) ? userRegistry.getUser(session.username) : null;
+  }
+
+  /**
+   * Let a request through to /admin/* when it presents the admin token or logs in as a user
+   * holding the admin role; every request passes when neither is configured
+   */
+  function authenticateAdmin(req, res, next) {
+    if (!adminToken && !adminRole) {
+      return next();
+    }
+
+    const authHeader = req.headers.authorization || '';
+    const presentedToken = req.headers['x-admin-token'] ||
+      (authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null);
+
+    if (adminToken && presentedToken) {
+      if (secretsMatch(presentedToken, adminToken)) {
+        return next();
+      }
+      logger.log(`❌ Invalid admin token for ${req.method} ${req.originalUrl}`);
+      return res.status(401).json({ error: 'Invalid admin token' });
+    }
+
+    const user = adminRole ? getAdminRequestUser(req) : null;
+
+    if (!user) {
+      logger.log(`❌ Admin credentials required for ${req.method} ${req.originalUrl}`);
+      return res.status(401).json({
+        error: 'Admin credentials required',
+        accepts: [adminToken && 'X-Admin-Token header', adminRole && `a user with the ${adminRole} role`].filter(Boolean)
+      });
+    }
+    if (!user.roles.includes(adminRole)) {
+      logger.log(`❌ ${user.username} does not hold the ${adminRole} role for ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({ error: `${user.username} does not hold the ${adminRole} role` });
+    }
+
+    next();
+  }
+
+  /**
+   * Start or resume the session of an authenticated user and set its LtpaToken2 cookie
+   */
+  function establishSession(req, res, username) {
+    // Each login starts a session of its own, never one already in use, unless sessions are
+    // sticky: then every login of a user resumes the one session whose ID is derived from the username
+    const sessionId = stickySessions
+      ? crypto.createHash('md5').update(username).digest('hex').substring(0, 16).toUpperCase()
+      : generateUnusedToken(() => generateSessionToken(req.random), id => sessions.has(id));
+
+    if (!sessions.has(sessionId)) {
+      pruneUserSessions(username);
+    }
+
+    // Check if session already exists and has a valid LtpaToken2
+    let existingSession = sessions.get(sessionId);
+    let ltpaToken2;
+
+    // An expired session is not resumed; logging in again starts a new one
+    if (existingSession && getSessionExpiry(existingSession)) {
+      logger.log(`⌛ Session ${sessionId} of ${username} has expired (${getSessionExpiry(existingSession)})`);
+      endSession(sessionId);
+      existingSession = undefined;
+    }
+
+    if (existingSession && existingSession.ltpaToken2) {
+      // Reuse existing token
+      ltpaToken2 = existingSession.ltpaToken2;
+      logger.log(`Reusing existing LtpaToken2 for user: ${username} with session: ${sessionId}`);
+    } else {
+      // Generate new LtpaToken2 for this session
+      ltpaToken2 = generateUnusedToken(() => generateLtpaToken2(req.random), token => ltpaTokens.has(token));
+
+      // Clean up any old tokens for this session
+      if (existingSession && existingSession.ltpaToken2) {
+        ltpaTokens.delete(existingSession.ltpaToken2);
+      }
+
+      // Map the new LtpaToken2 to the session
+      ltpaTokens.set(ltpaToken2, sessionId);
+
+      logger.log(`Generated new LtpaToken2 for user: ${username} with session: ${sessionId}`);
+    }
+
+    // Update session
+    sessions.set(sessionId, {
+      username,
+      loginTime: existingSession?.loginTime || new Date(),
+      lastActivity: new Date(),
+      ltpaToken2
+    });
+
+    req.sessionId = sessionId;
+    req.username = username;
+    req.newLtpaToken = ltpaToken2; // Signal that we should set the cookie
+
+    // Set the LtpaToken2 cookie in the response
+    res.cookie('LtpaToken2', ltpaToken2, {
+      httpOnly: true,
+      secure: req.secure, // Secure cookies on the HTTPS listener
+      ...(sessionTimeout ? { maxAge: sessionTimeout } : {}),
+      sameSite: 'lax'
+    });
+  }
+
+  /**
+   * Authentication middleware
+   */
+  function authenticateSession(req, res, next) {
+    const authHeader = req.headers.authorization;
+    const ltpaToken = req.headers.ltpatoken2 || req.headers.LtpaToken2 || req.cookies.LtpaToken2;
+    logger.log('authHeader', authHeader);
+    logger.log('ltpaToken', ltpaToken);
+    logger.log('req.headers', JSON.stringify(req.headers, null, 2));
+    logger.log('req.cookies', JSON.stringify(req.cookies, null, 2));
+
+    // Check for LtpaToken2 in headers or cookies first
+    if (ltpaToken) {
+      const sessionId = ltpaTokens.get(ltpaToken);
+      const session = sessionId ? sessions.get(sessionId) : null;
+      const expiry = session ? getSessionExpiry(session) : null;
+      // Basic credentials for another user log that user in rather than resuming the token's session
+      const basicUsername = authHeader?.startsWith('Basic ')
+        ? Buffer.from(authHeader.substring(6), 'base64').toString().split(':')[0]
+        : null;
+      const otherUser = session && basicUsername && basicUsername.toUpperCase() !== session.username.toUpperCase();
+
+      if (session && !expiry && !otherUser) {
+        // Update last activity
+        session.lastActivity = new Date();
+        sessions.set(sessionId, session);
+
+        req.sessionId = sessionId;
+        req.username = session.username;
+        req.authenticatedViaToken = true;
+
+        logger.log(`Authenticated user: ${session.username} with LtpaToken2 session: ${sessionId}`);
+        return next();
+      } else if (expiry) {
+        logger.log(`⌛ LtpaToken2 of ${session.username} has expired (${expiry}): ${ltpaToken}`);
+        endSession(sessionId);
+        if (!authHeader)
+          return res.status(401).json({ error: 'LtpaToken2 has expired', reason: expiry });
+      } else if (otherUser) {
+        logger.log(`LtpaToken2 belongs to ${session.username}, logging in ${basicUsername} with Basic auth`);
+      } else {
+        logger.log(`Invalid or expired LtpaToken2: ${ltpaToken}`);
+        if (!authHeader)
+          return res.status(401).json({ error: 'Invalid or expired LtpaToken2' });
+      }
+    }
+
+    // A verified client certificate logs in the user named by its CN
+    const certificateCn = authHeader ? null : getClientCertificateCn(req);
+    if (certificateCn) {
+      const user = userRegistry.getUser(certificateCn);
+
+      if (user?.revoked) {
+        return refuseRevokedUser(res, user);
+      }
+      if (user) {
+        logger.log(`Authenticated user: ${user.username} with client certificate`);
+        establishSession(req, res, user.username);
+        return next();
+      }
+
+      logger.log(`❌ Client certificate CN ${certificateCn} does not map to a user`);
+      return res.status(401).json({ error: `Client certificate CN ${certificateCn} does not map to a user` });
+    }
+
+    if (!authHeader) {
+      // No auth header - require authentication for CMCI endpoints
+      logger.log('❌ No authorization header provided - authentication required');
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    // Simple Basic Auth simulation
+    if (authHeader.startsWith('Basic ')) {
+      const credentials = Buffer.from(authHeader.substring(6), 'base64').toString();
+      const [username, password] = credentials.split(':');
+
+      // Handle different authentication methods
+      const user = userRegistry.getUser(username);
+      let isAuthenticated = false;
+
+      // A revoked user ID is refused whatever the password, as RACF does
+      if (user?.revoked) {
+        return refuseRevokedUser(res, user);
+      }
+
+      // Check fixed passwords
+      if (userRegistry.checkPassword(username, password)) {
+        isAuthenticated = true;
+      }
+      // "current/new" as the password changes it while logging in, as with RACF
+      else if (user && !user.otp && password?.includes('/') &&
+        userRegistry.checkPassword(username, password.substring(0, password.indexOf('/')))) {
+        try {
+          userRegistry.changePassword(username, password.substring(password.indexOf('/') + 1));
+        } catch (error) {
+          if (!(error instanceof UserRegistryError)) {
+            throw error;
+          }
+          return res.status(401).json({ error: error.message, reason: 'new-password-invalid' });
+        }
+        logger.log(`🔑 Changed the password of ${user.username} while logging in`);
+        isAuthenticated = true;
+      }
+      // Handle OTP authentication
+      else if (user?.otp && password) {
+        isAuthenticated = validateOTP(user, password);
+      }
+
+      if (isAuthenticated) {
+        userRegistry.recordLogin(user.username);
+
+        if (user.passwordExpired) {
+          return refuseExpiredPassword(res, user);
+        }
+
+        establishSession(req, res, user.username);
+        return next();
+      } else {
+        // Invalid credentials provided (either missing username/password or wrong credentials)
+        logger.log(`Authentication failed for user: ${username || 'unknown'}`);
+        recordFailedLogin(username);
+        return res.status(401).json({ error: 'Invalid username or password' });
+      }
+    }
+
+    res.status(401).json({ error: 'Authentication required' });
+  }
+
+  // Fault injection rules registered through /admin/faults
+  const faultRegistry = new FaultRegistry();
+
+  /**
+   * Fault injection middleware
+   * Applies the first active /admin/faults rule matching an authenticated CMCI request
+   */
+  function injectFaults(req, res, next) {
+    const { resourceType, context, scope } = parseResourceFromPath(req.path);
+    const rule = faultRegistry.fire({ method: req.method, resourceType, context, scope, user: req.username });
+
+    if (!rule) {
+      return next();
+    }
+
+    logger.log(`💥 Fault rule ${rule.id} matched ${req.method} ${req.path}${rule.error ? ` (${rule.error.type})` : ''}`);
+
+    if (!rule.latency) {
+      return applyFaultError(rule.error, req, res, next);
+    }
+
+    const delay = pickLatency(rule.latency, req.random);
+    logger.log(`🐢 Delaying ${req.method} ${req.path} by ${delay}ms`);
+    setTimeout(() => applyFaultError(rule.error, req, res, next), delay);
+  }
+
+  /**
+   * Schema endpoint - the XML schema responses point at, and the fragment for each resource type
+   * Format: /CICSSystemManagement/schema/CICSSystemManagement.xsd or /CICSSystemManagement/schema/{resourcetype}.xsd
+   */
+  app.get(`/${CMCI_CONSTANTS.CICS_SYSTEM_MANAGEMENT}/schema/:file`, (req, res) => {
+    const { file } = req.params;
+    let schema = null;
+
+    if (file === SCHEMA_FILE) {
+      schema = buildSchema();
+    } else if (/\.xsd$/i.test(file)) {
+      schema = buildResourceSchema(file.slice(0, -4).toLowerCase());
+    }
+
+    if (!schema) {
+      return res.status(404).json({ error: `Schema ${file} not found` });
+    }
+
+    res.set('Content-Type', 'application/xml').send(schema);
+  });
+
+  /**
+   * CICSResultCache endpoint - Handle retained result set requests
+   * Format: /CICSSystemManagement/CICSResultCache/{cachetoken}[/{index}[/{count}]]
+   */
+  app.get(`/${CMCI_CONSTANTS.CICS_SYSTEM_MANAGEMENT}/CICSResultCache/:cachetoken/:index?/:count?`, authenticateSession, injectFaults, (req, res) => {
+    const { cachetoken } = req.params;
+    const query = req.query;
+    const pathParts = req.path.split('/');
+
+    logger.log(`GET CICSResultCache ${cachetoken} from session: ${req.sessionId}`);
+
+    const { resultSet, reason } = findRetainedResultSet(cachetoken, req.sessionId);
+
+    // Only the session that retained a result set may read it
+    if (reason === 'SESSION') {
+      logger.log(`🚫 Access denied for cache token ${cachetoken} - wrong session`);
+      return sendCMCIError(res, 403, 'GET', 'NOTAVAILABLE', 'Access denied', getReason('NOTAVAILABLE', 'SESSION'));
+    }
+    if (!resultSet) {
+      logger.log(`❌ Cache token not found: ${cachetoken}`);
+      const message = strictCmci ? 'The result cache token could not be found' : 'Cache token not found';
+      return sendCMCIError(res, 404, 'GET', 'NOTAVAILABLE', message, getReason('NOTAVAILABLE', 'CACHETOKEN'));
+    }
+
+    // Parse index and count from URL path (after cachetoken)
+    // Format: .../CICSResultCache/{token}/{index}/{count}
+    const cacheIndex = pathParts.findIndex(part => part === cachetoken);
+    const index = cacheIndex + 1 < pathParts.length ? parseInt(pathParts[cacheIndex + 1]) : 1;
+    const count = cacheIndex + 2 < pathParts.length ? parseInt(pathParts[cacheIndex + 2]) : null;
+
+    if (strictCmci && !(index >= 1)) {
+      return sendCMCIError(res, 400, 'GET', 'INVALIDPARM', `INDEX: ${pathParts[cacheIndex + 1]} is not a record number`);
+    }
+    if (strictCmci && count !== null && !(count >= 1)) {
+      return sendCMCIError(res, 400, 'GET', 'INVALIDPARM', `COUNT: ${pathParts[cacheIndex + 2]} is not a record count`);
+    }
+
+    const { criteria, error: criteriaError } = resolveCriteria(query);
+    if (criteriaError) {
+      logger.log(`❌ Invalid CRITERIA: ${criteriaError}`);
+      return sendCMCIError(res, 400, 'GET', 'INVALIDPARM', criteriaError);
+    }
+
+    const { orderBy, error: orderByError } = resolveOrderBy(query);
+    if (orderByError) {
+      logger.log(`❌ Invalid ORDERBY: ${orderByError}`);
+      return sendCMCIError(res, 400, 'GET', 'INVALIDPARM', orderByError);
+    }
+
+    const unknownOrderBy = findUnknownOrderByAttribute(orderBy, resultSet.data);
+    if (unknownOrderBy) {
+      logger.log(`❌ ORDERBY attribute not valid for ${resultSet.resourceType}: ${unknownOrderBy}`);
+      return sendCMCIError(res, 400, 'GET', 'INVALIDPARM', `ORDERBY: attribute '${unknownOrderBy}' is not valid for ${resultSet.resourceType}`);
+    }
+
+    logger.log(`📄 Retrieving from cache: index=${index}, count=${count}, orderby=${query.ORDERBY ?? query.orderby}`);
+
+    // Get the requested records
+    const { records, displayedCount, totalCount } = resultSet.getRecords(index, count, orderBy, criteria);
+
+    // The result set stays retained, so the client can retry within its range
+    if (strictCmci && totalCount > 0 && index > totalCount) {
+      logger.log(`❌ Index ${index} is beyond the ${totalCount} records of ${cachetoken}`);
+      return sendCMCIError(res, 400, 'GET', 'INVALIDPARM', `INDEX: ${index} is beyond the ${totalCount} records of the result set`);
+    }
+
+    if (criteria && totalCount === 0) {
+      return res.set('Content-Type', 'application/xml').send(
+        createXMLResponse({
+          api_source: 'CICSPlex SM',
+          api_function: 'GET',
+          api_response1: CMCI_CONSTANTS.RESPONSE_CODES.NODATA,
+          api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
+          api_response1_alt: 'NODATA',
+          api_response2_alt: '',
+          recordcount: '0'
+        })
+      );
+    }
+
+    // A page larger than the warning record count leaves the result set retained for smaller pages
+    if (exceedsWarningRecordCount(query, displayedCount)) {
+      return sendWarningRecordCount(res, cachetoken, totalCount);
+    }
+
+    const resultSummary = {
+      api_function: 'GET',
+      api_response1: CMCI_CONSTANTS.RESPONSE_CODES.OK,
+      api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
+      api_response1_alt: 'OK',
+      api_response2_alt: '',
+      recordcount: totalCount.toString(),
+      displayed_recordcount: displayedCount.toString()
+    };
+
+    // Keep the result set if NODISCARD is specified
+    const keepCache = query.hasOwnProperty('NODISCARD') || query.hasOwnProperty('nodiscard');
+    if (keepCache) {
+      resultSummary.cachetoken = cachetoken;
+      logger.log(`💾 Retaining result set: ${cachetoken}`);
+    } else {
+      // Remove the result set as per IBM docs
+      retainedResultSets.delete(cachetoken);
+      logger.log(`🗑️  Discarded result set: ${cachetoken}`);
+    }
+
+    // Build response - only include records if not SUMMONLY
+    let recordsData = null;
+    const summOnly = query.hasOwnProperty('SUMMONLY') || query.hasOwnProperty('summonly');
+
+    if (!summOnly && records.length > 0) {
+      recordsData = buildRecordsData(resultSet.resourceType, records);
+    }
+
+    const xmlResponse = createXMLResponse(resultSummary, recordsData);
+    res.set('Content-Type', 'application/xml').send(xmlResponse);
+  });
+
+  /**
+   * GET endpoint - retrieve resources with retained result set support
+   */
+  app.get(`/${CMCI_CONSTANTS.CICS_SYSTEM_MANAGEMENT}/*`, authenticateSession, injectFaults, (req, res) => {
+    logger.log(`GET ${req.path} from session: ${req.sessionId}`);
+
+    const { resourceType, context, scope } = parseResourceFromPath(req.path);
+    const query = req.query;
+
+    if (!resourceType) {
+      return sendCMCIError(res, 400, 'GET', 'INVALIDPARM', 'RESOURCE: A resource type is required');
+    }
+
+    if (!checkPermission(req, res, 'GET', resourceType, 'read')) {
+      return;
+    }
+
+    const { criteria, error: criteriaError } = resolveCriteria(query);
+    if (criteriaError) {
+      logger.log(`❌ Invalid CRITERIA: ${criteriaError}`);
+      return sendCMCIError(res, 400, 'GET', 'INVALIDPARM', criteriaError);
+    }
+
+    const { orderBy, error: orderByError } = resolveOrderBy(query);
+    if (orderByError) {
+      logger.log(`❌ Invalid ORDERBY: ${orderByError}`);
+      return sendCMCIError(res, 400, 'GET', 'INVALIDPARM', orderByError);
+    }
+
+    const { value: count, error: countError } = resolveRecordNumber('COUNT', query.count);
+    if (countError) {
+      logger.log(`❌ Invalid count: ${countError}`);
+      return sendCMCIError(res, 400, 'GET', 'INVALIDPARM', countError);
+    }
+
+    // TODO: Uncomment this once the real CMCI (and the CICS VSCE) stop handling cache-misses
+    // if (resourceType === 'cicsresultcache') {
+    //   return res.status(404).set('Content-Type', 'application/xml').send(
+    //     createXMLResponse({
+    //       api_function: 'GET',
+    //       api_response1: CMCI_CONSTANTS.RESPONSE_CODES.NOTAVAILABLE,
+    //       api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
+    //       api_response1_alt: 'NOTAVAILABLE',
+    //       api_response2_alt: 'The result cache token could not be found',
+    //       recordcount: '0'
+    //     })
+    //   );
+    // }
+
+    // Check if this is a cache request using provided cacheToken
+    if (query.cachetoken || query.cacheToken) {
+      const providedToken = query.cachetoken || query.cacheToken;
+
+      // First check retained result sets, with the same ownership check as the CICSResultCache path
+      const { resultSet: retainedSet, reason } = findRetainedResultSet(providedToken, req.sessionId);
+      if (reason === 'SESSION') {
+        logger.log(`🚫 Access denied for cache token ${providedToken} - wrong session`);
+        return sendCMCIError(res, 403, 'GET', 'NOTAVAILABLE', 'Access denied', getReason('NOTAVAILABLE', 'SESSION'));
+      }
+
+      if (retainedSet) {
+        logger.log(`💾 Cache hit for token: ${providedToken}`);
+
+        // The record of the result set to start at
+        const { value: index, error: indexError } = resolveRecordNumber('INDEX', query.index);
+        if (indexError) {
+          logger.log(`❌ Invalid index: ${indexError}`);
+          return sendCMCIError(res, 400, 'GET', 'INVALIDPARM', indexError);
+        }
+
+        const unknownOrderBy = findUnknownOrderByAttribute(orderBy, retainedSet.data);
+        if (unknownOrderBy) {
+          logger.log(`❌ ORDERBY attribute not valid for ${retainedSet.resourceType}: ${unknownOrderBy}`);
+          return sendCMCIError(res, 400, 'GET', 'INVALIDPARM', `ORDERBY: attribute '${unknownOrderBy}' is not valid for ${retainedSet.resourceType}`);
+        }
+
+        const { records, displayedCount, totalCount } = retainedSet.getRecords(index ?? 1, count, orderBy, criteria);
+
+        if (criteria && totalCount === 0) {
+          return res.set('Content-Type', 'application/xml').send(
+            createXMLResponse({
+              api_source: 'CICSPlex SM',
+              api_function: 'GET',
+              api_response1: CMCI_CONSTANTS.RESPONSE_CODES.NODATA,
+              api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
+              api_response1_alt: 'NODATA',
+              api_response2_alt: '',
+              recordcount: '0'
+            })
+          );
+        }
+
+        if (exceedsWarningRecordCount(query, displayedCount)) {
+          return sendWarningRecordCount(res, providedToken, totalCount);
+        }
+
+        const resultSummary = {
+          api_function: 'GET',
+          api_response1: CMCI_CONSTANTS.RESPONSE_CODES.OK,
+          api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
+          api_response1_alt: 'OK',
+          api_response2_alt: '',
+          recordcount: totalCount.toString(),
+          displayed_recordcount: displayedCount.toString()
+        };
+
+        // Keep the result set if NODISCARD is specified
+        const keepCache = query.hasOwnProperty('NODISCARD') || query.hasOwnProperty('nodiscard');
+        if (keepCache) {
+          resultSummary.cachetoken = providedToken;
+          logger.log(`💾 Retaining result set: ${providedToken}`);
+        } else {
+          // Remove the result set as per IBM docs
+          retainedResultSets.delete(providedToken);
+          logger.log(`🗑️  Discarded result set: ${providedToken}`);
+        }
+
+        // Build response - only include records if not SUMMONLY
+        let recordsData = null;
+        const summOnly = query.hasOwnProperty('SUMMONLY') || query.hasOwnProperty('summonly');
+
+        if (!summOnly && records.length > 0) {
+          recordsData = buildRecordsData(retainedSet.resourceType, records);
+        }
+
+        const xmlResponse = createXMLResponse(resultSummary, recordsData);
+        return res.set('Content-Type', 'application/xml').send(xmlResponse);
+      }
+
+      // Fall back to legacy cache for backward compatibility
+      const cachedResult = cache.get(providedToken);
+      if (cachedResult) {
+        logger.log(`💽 Legacy cache hit for token: ${providedToken}`);
+        return res.set('Content-Type', 'application/xml').send(cachedResult);
+      } else {
+        logger.log(`💽 Cache miss/expired for token: ${providedToken} - generating new response`);
+      }
+    }
+
+    // Simulate no data scenario
+    if (query.simulate === 'nodata') {
+      const nodataResponse = createXMLResponse({
+        api_source: 'CICSPlex SM',
+        api_function: 'GET',
+        api_response1: CMCI_CONSTANTS.RESPONSE_CODES.NODATA,
+        api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
+        api_response1_alt: 'NODATA',
+        api_response2_alt: '',
+        recordcount: '0'
+      });
+
+      return res.set('Content-Type', 'application/xml').send(nodataResponse);
+    }
+
+    const { filter: parameterFilter, error: parameterError } = resolveParameter(resourceType, query);
+    if (parameterError) {
+      logger.log(`❌ Invalid PARAMETER: ${parameterError}`);
+      return sendCMCIError(res, 400, 'GET', 'INVALIDPARM', parameterError);
+    }
+
+    const { groups, error: topologyError } = resolveRecordGroups(resourceType, context, scope);
+    if (topologyError) {
+      return sendTopologyError(res, 'GET', topologyError);
+    }
+
+    // Generate the records of the estate on first access, recordCount per region, and read the
+    // current records for this context and scope; count only limits what is returned
+    ensureGroupsSeeded(resourceType, groups, recordCount, req.random);
+
+    const unknownAttribute = findUnknownCriteriaAttribute(criteria, listGroupRecords(resourceType, groups));
+    if (unknownAttribute) {
+      logger.log(`❌ CRITERIA attribute not valid for ${resourceType}: ${unknownAttribute}`);
+      return sendCMCIError(res, 400, 'GET', 'INVALIDPARM', `CRITERIA: attribute '${unknownAttribute}' is not valid for ${resourceType}`);
+    }
+
+    const unknownOrderBy = findUnknownOrderByAttribute(orderBy, listGroupRecords(resourceType, groups));
+    if (unknownOrderBy) {
+      logger.log(`❌ ORDERBY attribute not valid for ${resourceType}: ${unknownOrderBy}`);
+      return sendCMCIError(res, 400, 'GET', 'INVALIDPARM', `ORDERBY: attribute '${unknownOrderBy}' is not valid for ${resourceType}`);
+    }
+
+    // The whole result is sorted before count takes the first records of it
+    let mockRecords = sortRecords(listGroupRecords(resourceType, groups,
+      record => parameterFilter(record) && evaluateCriteria(criteria, record)), resourceType, orderBy);
+    if (count) {
+      mockRecords = mockRecords.slice(0, count);
+    }
+
+    if (mockRecords.length === 0) {
+      logger.log(`📭 No ${resourceType} records in context '${context}' scope '${scope}'`);
+      return res.set('Content-Type', 'application/xml').send(
+        createXMLResponse({
+          api_source: 'CICSPlex SM',
+          api_function: 'GET',
+          api_response1: CMCI_CONSTANTS.RESPONSE_CODES.NODATA,
+          api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
+          api_response1_alt: 'NODATA',
+          api_response2_alt: '',
+          recordcount: '0'
+        })
+      );
+    }
+
+    const resultSummary = {
+      api_function: 'GET',
+      api_response1: CMCI_CONSTANTS.RESPONSE_CODES.OK,
+      api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
+      api_response1_alt: 'OK',
+      api_response2_alt: '',
+      recordcount: mockRecords.length.toString(),
+      displayed_recordcount: mockRecords.length.toString()
+    };
+
+    // Check for existing cache or create new cache token
+    const providedToken = query.cachetoken || query.cacheToken;
+    if (strictCmci) {
+      // Only a GET with NODISCARD retains its result set, a snapshot of the records as they are now
+      if (query.hasOwnProperty('NODISCARD') || query.hasOwnProperty('nodiscard')) {
+        const { cacheToken, error: retainError } = retainResultSet(req, resourceType, mockRecords, query);
+        if (retainError) {
+          return sendRetainError(res, retainError);
+        }
+        resultSummary.cachetoken = cacheToken;
+        logger.log(`💾 Retained result set: ${cacheToken} (${mockRecords.length} records)`);
+      }
+    } else if (!providedToken) {
+      // Create a unique key for this request based on resource type, session, and query params
+      const requestKey = JSON.stringify({
+        resourceType,
+        sessionId: req.sessionId,
+        count: query.count || '3',
+        simulate: query.simulate,
+        criteria: query.CRITERIA ?? query.criteria,
+        orderby: query.ORDERBY ?? query.orderby,
+        // Include other relevant query params that affect the result
+        summonly: query.hasOwnProperty('SUMMONLY') || query.hasOwnProperty('summonly')
+      });
+
+      // Look for existing cache entry for this exact request
+      let existingToken = null;
+      for (const [token, resultSet] of retainedResultSets.entries()) {
+        if (resultSet.sessionId === req.sessionId &&
+            resultSet.resourceType === resourceType &&
+            JSON.stringify({
+              resourceType: resultSet.resourceType,
+              sessionId: resultSet.sessionId,
+              count: resultSet.query.count || '3',
+              simulate: resultSet.query.simulate,
+              criteria: resultSet.query.CRITERIA ?? resultSet.query.criteria,
+              orderby: resultSet.query.ORDERBY ?? resultSet.query.orderby,
+              summonly: resultSet.query.hasOwnProperty('SUMMONLY') || resultSet.query.hasOwnProperty('summonly')
+            }) === requestKey) {
+          existingToken = token;
+          break;
+        }
+      }
+
+      if (existingToken) {
+        // Reuse existing cache
+        resultSummary.cachetoken = existingToken;
+        logger.log(`♻️  Reusing existing cached result set: ${existingToken}`);
+      } else {
+        // Create new cache entry; at a limit only a request asking for it with NODISCARD fails
+        const { cacheToken, error: retainError } = retainResultSet(req, resourceType, mockRecords, query);
+        if (cacheToken) {
+          resultSummary.cachetoken = cacheToken;
+          logger.log(`💾 Auto-created retained result set: ${cacheToken} (${mockRecords.length} records)`);
+        } else if (query.hasOwnProperty('NODISCARD') || query.hasOwnProperty('nodiscard')) {
+          return sendRetainError(res, retainError);
+        } else {
+          logger.log(`⚠️  No cache token for this response - ${retainError}`);
+        }
+      }
+    }
+
+    // Too many records for one response: return the summary and leave the records retained
+    if (exceedsWarningRecordCount(query, mockRecords.length)) {
+      if (!resultSummary.cachetoken) {
+        const { cacheToken, error: retainError } = retainResultSet(req, resourceType, mockRecords, query);
+        if (retainError) {
+          return sendRetainError(res, retainError);
+        }
+        resultSummary.cachetoken = cacheToken;
+      }
+      return sendWarningRecordCount(res, resultSummary.cachetoken, mockRecords.length);
+    }
+
+    // Handle SUMMONLY - don't return records, just summary
+    let recordsData = null;
+    const summOnly = query.hasOwnProperty('SUMMONLY') || query.hasOwnProperty('summonly');
+
+    if (!summOnly) {
+      recordsData = buildRecordsData(resourceType, mockRecords);
+    }
+
+    const xmlResponse = createXMLResponse(resultSummary, recordsData);
+
+    // Store in legacy cache if explicitly requested (for backward compatibility)
+    if (query.cache === 'true' && !resultSummary.cachetoken) {
+      const legacyCacheToken = generateUnusedToken(() => generateCacheToken(req.random), token => cache.has(token));
+      cache.set(legacyCacheToken, xmlResponse);
+      resultSummary.cachetoken = legacyCacheToken;
+      logger.log(`💽 Legacy cached response with token: ${legacyCacheToken}`);
+    }
+
+    res.set('Content-Type', 'application/xml').send(xmlResponse);
+  });
+
+  /**
+   * POST endpoint - create resources
+   * Body: <request><create><parameter name="CSD"/><attributes name="..." .../></create></request>
+   */
+  app.post(`/${CMCI_CONSTANTS.CICS_SYSTEM_MANAGEMENT}/*`, authenticateSession, injectFaults, async (req, res, next) => {
+    logger.log(`POST ${req.path} from session: ${req.sessionId}`);
+
+    const { resourceType, context, scope } = parseResourceFromPath(req.path);
+
+    if (!resourceType) {
+      return sendCMCIError(res, 400, 'POST', 'INVALIDPARM', 'RESOURCE: A resource type is required');
+    }
+
+    if (!checkPermission(req, res, 'POST', resourceType, 'create')) {
+      return;
+    }
+
+    // Parse the XML create request
+    let parsedBody = null;
+    try {
+      parsedBody = await parseRequestBody(req.body);
+    } catch (error) {
+      logger.error('Error parsing XML body:', error);
+      return res.status(400).set('Content-Type', 'application/xml').send(
+        createXMLResponse({
+          api_function: 'POST',
+          api_response1: CMCI_CONSTANTS.RESPONSE_CODES.INVALIDDATA,
+          api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
+          api_response1_alt: 'INVALIDDATA',
+          api_response2_alt: 'Request body is not valid XML',
+          recordcount: '0'
+        })
+      );
+    }
+
+    let attributes;
+    try {
+      const { element } = readRequest(parsedBody, ['create']);
+      attributes = readAttributes(element, 'create');
+    } catch (error) {
+      if (!(error instanceof RequestError)) {
+        return next(error);
+      }
+      return sendRequestError(res, 'POST', error);
+    }
+
+    if (isDefinitionType(resourceType)) {
+      const { parameter, error: parameterError } = resolveParameter(resourceType, req.query, { required: false });
+      const groupError = parameterError || applyDefinitionGroup(resourceType, attributes, parameter);
+      if (groupError) {
+        logger.log(`❌ Invalid PARAMETER: ${groupError}`);
+        return sendCMCIError(res, 400, 'POST', 'INVALIDPARM', groupError);
+      }
+    }
+
+    try {
+      validateCreateAttributes(resourceType, attributes);
+    } catch (error) {
+      if (!(error instanceof RequestError)) {
+        return next(error);
+      }
+      return sendRequestError(res, 'POST', error);
+    }
+
+    const { groups, error: topologyError } = resolveRecordGroups(resourceType, context, scope);
+    if (topologyError) {
+      return sendTopologyError(res, 'POST', topologyError);
+    }
+
+    try {
+      // The resource is created in every region in scope, so check them all for duplicates first
+      if (groups.some(group => resourceStore.exists(resourceType, group.context, group.region, attributes))) {
+        logger.log(`❌ ${resourceType} already exists in context '${context}' scope '${scope}'`);
+        return sendCMCIError(res, 409, 'POST', 'DUPE', `${resourceType} ${resourceStore.recordKey(resourceType, attributes)} already exists`);
+      }
+
+      const created = groups.map(group => resourceStore.create(resourceType, group.context, group.region, attributes, req.random));
+
+      if (created.length === 0) {
+        return sendCMCIError(res, 404, 'POST', 'NOTAVAILABLE', `SCOPE: No regions in scope for ${resourceType}`);
+      }
+
+      logger.log(`➕ Created ${created.length} ${resourceType} record(s) in context '${context}' scope '${scope}'`);
+
+      const resultSummary = {
+        api_function: 'POST',
+        api_response1: CMCI_CONSTANTS.RESPONSE_CODES.OK,
+        api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
+        api_response1_alt: 'OK',
+        api_response2_alt: '',
+        recordcount: created.length.toString(),
+        displayed_recordcount: created.length.toString()
+      };
+
+      const xmlResponse = createXMLResponse(resultSummary, buildRecordsData(resourceType, created));
+      res.set('Content-Type', 'application/xml').send(xmlResponse);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * PUT endpoint - update resources or perform actions on them
+   * Body: <request><update><attributes .../></update></request>
+   *   or: <request><action name="ENABLE"/></request>
+   */
+  app.put(`/${CMCI_CONSTANTS.CICS_SYSTEM_MANAGEMENT}/*`, authenticateSession, injectFaults, async (req, res, next) => {
+    logger.log(`PUT ${req.path} from session: ${req.sessionId}`);
+
+    const { resourceType, context, scope } = parseResourceFromPath(req.path);
+
+    if (!resourceType) {
+      return sendCMCIError(res, 400, 'PUT', 'INVALIDPARM', 'RESOURCE: A resource type is required');
+    }
+
+    const { criteria, error: criteriaError } = resolveCriteria(req.query);
+    if (criteriaError) {
+      logger.log(`❌ Invalid CRITERIA: ${criteriaError}`);
+      return sendCMCIError(res, 400, 'PUT', 'INVALIDPARM', criteriaError);
+    }
+
+    const { filter: parameterFilter, error: parameterError } = resolveParameter(resourceType, req.query);
+    if (parameterError) {
+      logger.log(`❌ Invalid PARAMETER: ${parameterError}`);
+      return sendCMCIError(res, 400, 'PUT', 'INVALIDPARM', parameterError);
+    }
+
+    const { groups, error: topologyError } = resolveRecordGroups(resourceType, context, scope);
+    if (topologyError) {
+      return sendTopologyError(res, 'PUT', topologyError);
+    }
+
+    let parsedBody = null;
+    try {
+      parsedBody = await parseRequestBody(req.body);
+    } catch (error) {
+      logger.error('Error parsing XML body:', error);
+      return res.status(400).set('Content-Type', 'application/xml').send(
+        createXMLResponse({
+          api_function: 'PUT',
+          api_response1: CMCI_CONSTANTS.RESPONSE_CODES.INVALIDDATA,
+          api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
+          api_response1_alt: 'INVALIDDATA',
+          api_response2_alt: 'Request body is not valid XML',
+          recordcount: '0'
+        })
+      );
+    }
+
+    // Work out the change each matched record goes through
+    let modifier;
+    let description;
+    let installing = false;
+    let operation;
+    let element;
+    let actionName = null;
+
+    try {
+      ({ operation, element } = readRequest(parsedBody, ['update', 'action']));
+    } catch (error) {
+      if (!(error instanceof RequestError)) {
+        return next(error);
+      }
+      return sendRequestError(res, 'PUT', error);
+    }
+
+    const permission = operation === 'action' ? `action:${String(element.name || '').toUpperCase()}` : 'update';
+    if (!checkPermission(req, res, 'PUT', resourceType, permission)) {
+      return;
+    }
+
+    if (operation === 'action') {
+      const action = element;
+      actionName = String(action.name || '').toUpperCase();
+      const handler = getAction(resourceType, actionName);
+
+      if (!handler) {
+        const validActions = listActions(resourceType);
+        const reason = validActions.length > 0
+          ? `ACTION: ${actionName || '(none)'} is not valid for ${resourceType}, expected one of ${validActions.join(', ')}`
+          : `ACTION: ${resourceType} does not support actions`;
+        logger.log(`❌ ${reason}`);
+        return sendCMCIError(res, 400, 'PUT', 'INVALIDPARM', reason);
+      }
+
+      const parameters = getActionParameters(action);
+      modifier = record => handler(record, parameters);
+      description = `Performed ${actionName} on`;
+      installing = isInstallAction(resourceType, actionName);
+    } else {
+      let attributes;
+      try {
+        attributes = readAttributes(element, 'update');
+        validateUpdateAttributes(resourceType, attributes);
+      } catch (error) {
+        if (!(error instanceof RequestError)) {
+          return next(error);
+        }
+        return sendRequestError(res, 'PUT', error);
+      }
+
+      modifier = () => attributes;
+      description = 'Updated';
+    }
+
+    try {
+      ensureGroupsSeeded(resourceType, groups, recordCount, req.random);
+      const filter = record => parameterFilter(record) && evaluateCriteria(criteria, record);
+      let updated;
+
+      // Regions a feedback fault rule makes refuse the change keep their records as they are
+      const fault = req.feedbackFault;
+      const refuses = group => Boolean(fault) && wildcardToRegExp(fault.regions).test(group.region.toUpperCase());
+      const refused = groups.filter(refuses)
+        .flatMap(group => resourceStore.list(resourceType, group.context, group.region, filter))
+        .map(record => ({ record, refusal: fault }));
+      const accepting = groups.filter(group => !refuses(group));
+
+      if (installing) {
+        const installation = installDefinitions(resourceType, accepting, filter, req.username, req.random);
+        updated = installation.installed;
+        refused.push(...installation.refused);
+      } else {
+        // So do records the action is not valid for in their current state
+        const refusalOf = record => operation === 'action' ? getActionRefusal(resourceType, actionName, record) : null;
+        refused.push(...listGroupRecords(resourceType, accepting, filter)
+          .map(record => ({ record, refusal: refusalOf(record) }))
+          .filter(({ refusal }) => refusal));
+        updated = accepting.flatMap(group => resourceStore.modify(resourceType, group.context, group.region, modifier,
+          record => filter(record) && !refusalOf(record)));
+      }
+
+      if (refused.length > 0) {
+        logger.log(`❌ ${refused.length} ${resourceType} record(s) refused the change: ${refused
+          .map(({ record, refusal }) => `${record.$.eyu_cicsname} ${refusal.eibresp_alt} RESP2 ${refusal.eibresp2}`).join(', ')}`);
+        return res.status(409).set('Content-Type', 'application/xml').send(
+          createXMLResponse({
+            api_function: 'PUT',
+            api_response1: CMCI_CONSTANTS.RESPONSE_CODES.TABLEERROR,
+            api_response2: getReason('TABLEERROR', 'DATAERROR'),
+            api_response1_alt: 'TABLEERROR',
+            api_response2_alt: 'DATAERROR',
+            recordcount: (updated.length + refused.length).toString(),
+            displayed_recordcount: updated.length.toString()
+          },
+          updated.length > 0 ? buildRecordsData(resourceType, updated) : null,
+          refused.map(({ record, refusal }) => buildFeedback(resourceType, record, actionName, refusal)))
+        );
+      }
+
+      if (updated.length === 0) {
+        return res.set('Content-Type', 'application/xml').send(
+          createXMLResponse({
+            api_source: 'CICSPlex SM',
+            api_function: 'PUT',
+            api_response1: CMCI_CONSTANTS.RESPONSE_CODES.NODATA,
+            api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
+            api_response1_alt: 'NODATA',
+            api_response2_alt: '',
+            recordcount: '0'
+          })
+        );
+      }
+
+      logger.log(`✏️  ${description} ${updated.length} ${resourceType} record(s) in context '${context}' scope '${scope}'`);
+
+      const resultSummary = {
+        api_function: 'PUT',
+        api_response1: CMCI_CONSTANTS.RESPONSE_CODES.OK,
+        api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
+        api_response1_alt: 'OK',
+        api_response2_alt: '',
+        recordcount: updated.length.toString(),
+        displayed_recordcount: updated.length.toString()
+      };
+
+      const xmlResponse = createXMLResponse(resultSummary, buildRecordsData(resourceType, updated));
+      res.set('Content-Type', 'application/xml').send(xmlResponse);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * DELETE endpoint - delete resources
+   */
+  app.delete(`/${CMCI_CONSTANTS.CICS_SYSTEM_MANAGEMENT}/*`, authenticateSession, injectFaults, (req, res) => {
+    logger.log(`DELETE ${req.path} from session: ${req.sessionId}`);
+
+    const { resourceType, context, scope } = parseResourceFromPath(req.path);
+
+    if (!resourceType) {
+      return sendCMCIError(res, 400, 'DELETE', 'INVALIDPARM', 'RESOURCE: A resource type is required');
+    }
+
+    if (!checkPermission(req, res, 'DELETE', resourceType, 'delete')) {
+      return;
+    }
+
+    const { criteria, error: criteriaError } = resolveCriteria(req.query);
+    if (criteriaError) {
+      logger.log(`❌ Invalid CRITERIA: ${criteriaError}`);
+      return sendCMCIError(res, 400, 'DELETE', 'INVALIDPARM', criteriaError);
+    }
+
+    const { filter: parameterFilter, error: parameterError } = resolveParameter(resourceType, req.query);
+    if (parameterError) {
+      logger.log(`❌ Invalid PARAMETER: ${parameterError}`);
+      return sendCMCIError(res, 400, 'DELETE', 'INVALIDPARM', parameterError);
+    }
+
+    const { groups, error: topologyError } = resolveRecordGroups(resourceType, context, scope);
+    if (topologyError) {
+      return sendTopologyError(res, 'DELETE', topologyError);
+    }
+
+    ensureGroupsSeeded(resourceType, groups, recordCount, req.random);
+    const removed = groups.flatMap(group => resourceStore.remove(resourceType, group.context, group.region,
+      record => parameterFilter(record) && evaluateCriteria(criteria, record)));
+
+    if (removed.length === 0) {
+      return res.set('Content-Type', 'application/xml').send(
+        createXMLResponse({
+          api_source: 'CICSPlex SM',
+          api_function: 'DELETE',
+          api_response1: CMCI_CONSTANTS.RESPONSE_CODES.NODATA,
+          api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
+          api_response1_alt: 'NODATA',
+          api_response2_alt: '',
+          recordcount: '0'
+        })
+      );
+    }
 
-    return res.status(400).set('Content-Type', 'application/xml').send(errorResponse);
-  }
+    logger.log(`🗑️  Deleted ${removed.length} ${resourceType} record(s) in context '${context}' scope '${scope}'`);
 
-  const resultSummary = {
-    api_function: 'DELETE',
-    api_response1: CMCI_CONSTANTS.RESPONSE_CODES.OK,
-    api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
-    api_response1_alt: 'OK',
-    api_response2_alt: '',
-    recordcount: '1',
-    displayed_recordcount: '1'
-  };
+    const resultSummary = {
+      api_function: 'DELETE',
+      api_response1: CMCI_CONSTANTS.RESPONSE_CODES.OK,
+      api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
+      api_response1_alt: 'OK',
+      api_response2_alt: '',
+      recordcount: removed.length.toString(),
+      displayed_recordcount: removed.length.toString()
+    };
 
-  const xmlResponse = createXMLResponse(resultSummary);
-  res.set('Content-Type', 'application/xml').send(xmlResponse);
-});
+    const xmlResponse = createXMLResponse(resultSummary);
+    res.set('Content-Type', 'application/xml').send(xmlResponse);
+  });
 
-/**
- * Health check endpoint
- */
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    activeSessions: sessions.size,
-    cacheEntries: cache.size,
-    ltpaTokens: ltpaTokens.size,
-    retainedResultSets: retainedResultSets.size
+  /**
+   * Health check endpoint
+   */
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      activeSessions: sessions.size,
+      cacheEntries: cache.size,
+      ltpaTokens: ltpaTokens.size,
+      retainedResultSets: retainedResultSets.size,
+      retainedResultSetUsage: describeRetainedResultSetUsage(),
+      warningRecordCount,
+      strictCmci,
+      resourceRecords: resourceStore.size,
+      faultRules: faultRegistry.rules.length,
+      // The seed itself recomputes every key, token and OTP, so only admins may see it
+      seeded: random.seeded
+    });
   });
-});
 
-/**
- * Administrative endpoints for managing mock server
- */
-app.get('/admin/sessions', (req, res) => {
-  const sessionList = Array.from(sessions.entries()).map(([id, data]) => ({
-    sessionId: id,
-    username: data.username,
-    loginTime: data.loginTime,
-    lastActivity: data.lastActivity,
-    ltpaToken2: data.ltpaToken2
-  }));
-
-  res.json(sessionList);
-});
+  /**
+   * Administrative endpoints for managing mock server
+   * LtpaToken2 values are redacted in listings unless ?showTokens=true is given
+   */
+  app.use('/admin', authenticateAdmin);
+
+  app.get('/admin/sessions', (req, res) => {
+    const showTokens = req.query.showTokens === 'true';
+    const sessionList = Array.from(sessions.entries()).map(([id, data]) => ({
+      sessionId: id,
+      username: data.username,
+      loginTime: data.loginTime,
+      lastActivity: data.lastActivity,
+      expiresAt: sessionTimeout ? new Date(data.loginTime.getTime() + sessionTimeout) : null,
+      idleExpiresAt: sessionIdleTimeout ? new Date(data.lastActivity.getTime() + sessionIdleTimeout) : null,
+      expired: getSessionExpiry(data),
+      ltpaToken2: showTokens ? data.ltpaToken2 : redactToken(data.ltpaToken2)
+    }));
+
+    res.json(sessionList);
+  });
 
-app.get('/admin/ltpa-tokens', (req, res) => {
-  const tokenList = Array.from(ltpaTokens.entries()).map(([token, sessionId]) => {
-    const session = sessions.get(sessionId);
-    return {
-      ltpaToken2: token,
-      sessionId: sessionId,
-      username: session?.username || 'unknown',
-      lastActivity: session?.lastActivity
-    };
+  app.get('/admin/ltpa-tokens', (req, res) => {
+    const showTokens = req.query.showTokens === 'true';
+    const tokenList = Array.from(ltpaTokens.entries()).map(([token, sessionId]) => {
+      const session = sessions.get(sessionId);
+      return {
+        ltpaToken2: showTokens ? token : redactToken(token),
+        sessionId: sessionId,
+        username: session?.username || 'unknown',
+        lastActivity: session?.lastActivity
+      };
+    });
+
+    res.json({
+      ltpaTokens: tokenList,
+      count: tokenList.length
+    });
   });
 
-  res.json({
-    ltpaTokens: tokenList,
-    count: tokenList.length
+  app.get('/admin/cache', (req, res) => {
+    const legacyCacheList = Array.from(cache.keys());
+    res.json({
+      legacyCacheTokens: legacyCacheList,
+      legacyCacheCount: legacyCacheList.length
+    });
   });
-});
 
-app.get('/admin/cache', (req, res) => {
-  const legacyCacheList = Array.from(cache.keys());
-  res.json({
-    legacyCacheTokens: legacyCacheList,
-    legacyCacheCount: legacyCacheList.length
+  app.get('/admin/retained-results', (req, res) => {
+    const retainedList = Array.from(retainedResultSets.entries()).map(([token, resultSet]) => ({
+      cacheToken: token,
+      resourceType: resultSet.resourceType,
+      totalRecords: resultSet.totalRecords,
+      sessionId: resultSet.sessionId,
+      username: sessions.get(resultSet.sessionId)?.username || null,
+      createdAt: resultSet.createdAt,
+      lastAccessed: resultSet.lastAccessed,
+      expiresAt: resultSet.expiresAt(),
+      isExpired: resultSet.isExpired(),
+      query: resultSet.query
+    }));
+
+    res.json({
+      retainedResultSets: retainedList,
+      count: retainedList.length,
+      usage: {
+        ...describeRetainedResultSetUsage(),
+        bySession: countRetainedResultSetsBySession()
+      }
+    });
   });
-});
 
-app.get('/admin/retained-results', (req, res) => {
-  const retainedList = Array.from(retainedResultSets.entries()).map(([token, resultSet]) => ({
-    cacheToken: token,
-    resourceType: resultSet.resourceType,
-    totalRecords: resultSet.totalRecords,
-    sessionId: resultSet.sessionId,
-    createdAt: resultSet.createdAt,
-    lastAccessed: resultSet.lastAccessed,
-    isExpired: resultSet.isExpired(),
-    query: resultSet.query
-  }));
-
-  res.json({
-    retainedResultSets: retainedList,
-    count: retainedList.length
+  app.get('/admin/topology', (req, res) => {
+    res.json(topology);
   });
-});
 
-app.delete('/admin/cache', (req, res) => {
-  const legacyCount = cache.size;
-  cache.clear();
-  res.json({ message: 'Legacy cache cleared', count: legacyCount });
-});
+  app.get('/admin/seed', (req, res) => {
+    res.json({ seeded: random.seeded, seed: random.seed });
+  });
 
-app.delete('/admin/retained-results', (req, res) => {
-  const retainedCount = retainedResultSets.size;
-  retainedResultSets.clear();
-  res.json({ message: 'All retained result sets cleared', count: retainedCount });
-});
+  app.get('/admin/resources', (req, res) => {
+    const groups = resourceStore.summary();
+    res.json({
+      resourceGroups: groups,
+      count: groups.length,
+      recordCount: resourceStore.size
+    });
+  });
 
-app.delete('/admin/retained-results/:token', (req, res) => {
-  const { token } = req.params;
-  const existed = retainedResultSets.delete(token);
+  app.get('/admin/faults', (req, res) => {
+    const rules = faultRegistry.list();
+    res.json({ faults: rules, count: rules.length });
+  });
 
-  if (existed) {
-    res.json({ message: `Retained result set ${token} deleted` });
-  } else {
-    res.status(404).json({ error: `Retained result set ${token} not found` });
-  }
-});
+  app.post('/admin/faults', (req, res) => {
+    try {
+      const rule = faultRegistry.add(req.body);
+      logger.log(`💥 Registered fault rule ${rule.id}`);
+      res.status(201).json(rule);
+    } catch (error) {
+      if (!(error instanceof FaultError)) {
+        throw error;
+      }
+      res.status(400).json({ error: error.message });
+    }
+  });
 
-app.delete('/admin/sessions', (req, res) => {
-  const sessionCount = sessions.size;
-  const ltpaTokenCount = ltpaTokens.size;
-  sessions.clear();
-  ltpaTokens.clear();
-  // Also clear retained result sets since they're session-dependent
-  const retainedCount = retainedResultSets.size;
-  retainedResultSets.clear();
-
-  res.json({
-    message: 'All sessions, LtpaToken2 mappings, and retained result sets cleared',
-    sessionCount: sessionCount,
-    ltpaTokenCount: ltpaTokenCount,
-    retainedResultSetsCount: retainedCount
+  app.delete('/admin/faults', (req, res) => {
+    const count = faultRegistry.clear();
+    res.json({ message: 'All fault rules cleared', count });
   });
-});
 
-app.delete('/admin/ltpa-tokens', (req, res) => {
-  const tokenCount = ltpaTokens.size;
-  ltpaTokens.clear();
+  app.delete('/admin/faults/:id', (req, res) => {
+    const { id } = req.params;
 
-  // Remove LtpaToken2 from session objects as well
-  for (const [sessionId, session] of sessions.entries()) {
-    if (session.ltpaToken2) {
-      delete session.ltpaToken2;
-      sessions.set(sessionId, session);
+    if (faultRegistry.remove(id)) {
+      res.json({ message: `Fault rule ${id} deleted` });
+    } else {
+      res.status(404).json({ error: `Fault rule ${id} not found` });
     }
-  }
+  });
 
-  res.json({
-    message: 'All LtpaToken2 mappings cleared',
-    count: tokenCount
+  app.get('/admin/users', (req, res) => {
+    res.json(userRegistry.list());
   });
-});
 
-/**
- * OTP Management Endpoints
- */
+  // Share the TOTP secret of a user, as the otpauth:// URI an authenticator app or test client imports
+  app.get('/admin/users/:username/totp', (req, res) => {
+    const user = userRegistry.getUser(req.params.username);
 
-// Generate OTP for testuser
-app.post('/auth/generate-otp', (req, res) => {
-  const { username } = req.body;
+    if (!user) {
+      return res.status(404).json({ error: `User ${req.params.username} not found` });
+    }
+    if (user.otp?.mode !== 'totp') {
+      return res.status(409).json({ error: `${user.username} does not log in with TOTP codes` });
+    }
 
-  if (!username) {
-    return res.status(400).json({ error: 'Username is required' });
-  }
+    const { secret, digits, period, skew } = user.otp;
+    res.json({
+      username: user.username,
+      secret,
+      algorithm: 'SHA1',
+      digits,
+      period,
+      skew,
+      otpauthUri: buildOtpauthUri(TOTP_ISSUER, user.username, secret, user.otp)
+    });
+  });
 
-  if (username !== 'testuser') {
-    return res.status(403).json({ error: 'OTP is only available for testuser' });
-  }
+  app.post('/admin/users', (req, res) => {
+    try {
+      const user = userRegistry.setUser(req.body);
+      logger.log(`👤 Registered user ${user.username} (roles: ${user.roles.join(', ') || 'none'})`);
+      res.status(201).json(describeUser(user));
+    } catch (error) {
+      if (!(error instanceof UserRegistryError)) {
+        throw error;
+      }
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Resume a user revoked by failed logins or the admin API
+  app.post('/admin/users/:username/unlock', (req, res) => {
+    const user = userRegistry.unlock(req.params.username);
 
-  // Check if reusing existing OTP
-  const existing = otpStorage.get(username);
-  const isReusing = existing && new Date() < existing.expiresAt;
+    if (!user) {
+      return res.status(404).json({ error: `User ${req.params.username} not found` });
+    }
 
-  const otp = generateOTP(username);
+    logger.log(`🔓 Unlocked ${user.username}`);
+    res.json(describeUser(user));
+  });
 
-  let message, expiresIn;
-  if (isReusing) {
-    const remainingTime = Math.ceil((existing.expiresAt - new Date()) / 1000);
-    message = `Reusing existing OTP for ${username}`;
-    expiresIn = `${Math.floor(remainingTime / 60)}m ${remainingTime % 60}s remaining`;
-  } else {
-    message = `New OTP generated for ${username}`;
-    expiresIn = '1 minute';
-  }
+  // Revoke a user, so their logins are refused until they are unlocked
+  app.post('/admin/users/:username/revoke', (req, res) => {
+    const user = userRegistry.revoke(req.params.username);
 
-  res.json({
-    message: message,
-    otp: otp,
-    expiresIn: expiresIn,
-    isReused: isReusing,
-    usage: `Use this OTP as the password with username '${username}' for authentication`
+    if (!user) {
+      return res.status(404).json({ error: `User ${req.params.username} not found` });
+    }
+
+    logger.log(`🔒 Revoked ${user.username}`);
+    res.json(describeUser(user));
   });
-});
 
-// Check OTP status for testuser
-app.get('/auth/otp-status/:username', (req, res) => {
-  const { username } = req.params;
+  // Expire the password of a user, so they must change it to log in
+  app.post('/admin/users/:username/expire-password', (req, res) => {
+    let user;
 
-  if (username !== 'testuser') {
-    return res.status(403).json({ error: 'OTP status is only available for testuser' });
-  }
+    try {
+      user = userRegistry.setPasswordExpired(req.params.username, true);
+    } catch (error) {
+      if (!(error instanceof UserRegistryError)) {
+        throw error;
+      }
+      return res.status(409).json({ error: error.message });
+    }
+
+    if (!user) {
+      return res.status(404).json({ error: `User ${req.params.username} not found` });
+    }
+
+    logger.log(`⌛ Expired the password of ${user.username}`);
+    res.json(describeUser(user));
+  });
+
+  app.delete('/admin/users/:username', (req, res) => {
+    const user = userRegistry.getUser(req.params.username);
+
+    if (!user) {
+      return res.status(404).json({ error: `User ${req.params.username} not found` });
+    }
+
+    userRegistry.removeUser(user.username);
+
+    // The user's sessions end with them
+    let sessionCount = 0;
+    for (const [sessionId, session] of sessions.entries()) {
+      if (session.username === user.username) {
+        endSession(sessionId);
+        sessionCount++;
+      }
+    }
+    otpStorage.delete(user.username);
+    totpSteps.delete(user.username);
+
+    res.json({ message: `User ${user.username} deleted`, sessionsEnded: sessionCount });
+  });
+
+  app.post('/admin/roles', (req, res) => {
+    try {
+      const role = userRegistry.setRole(req.body?.name, req.body);
+      logger.log(`🛡️  Registered role ${role.name}`);
+      res.status(201).json(role);
+    } catch (error) {
+      if (!(error instanceof UserRegistryError)) {
+        throw error;
+      }
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.delete('/admin/roles/:name', (req, res) => {
+    const { name } = req.params;
 
-  const stored = otpStorage.get(username);
+    try {
+      if (userRegistry.removeRole(name)) {
+        res.json({ message: `Role ${name} deleted` });
+      } else {
+        res.status(404).json({ error: `Role ${name} not found` });
+      }
+    } catch (error) {
+      if (!(error instanceof UserRegistryError)) {
+        throw error;
+      }
+      res.status(409).json({ error: error.message });
+    }
+  });
 
-  if (!stored) {
-    return res.json({
-      hasOTP: false,
-      message: 'No active OTP for this user'
+  app.get('/admin/fixtures', (req, res) => {
+    res.json({
+      directory: fixturesDir,
+      status: fixtureStatus
     });
-  }
+  });
+
+  app.post('/admin/fixtures/reload', (req, res) => {
+    if (!fixturesDir) {
+      return res.status(400).json({ error: 'No fixture directory configured, set fixturesDir or --fixtures' });
+    }
+
+    try {
+      const status = loadFixtureEstate();
+      res.json({ message: 'Fixtures reloaded', ...status });
+    } catch (error) {
+      if (!(error instanceof FixtureError)) {
+        throw error;
+      }
+      logger.log(`❌ Fixture reload failed: ${error.message}`);
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.delete('/admin/resources', (req, res) => {
+    const recordCount = resourceStore.size;
+    resourceStore.clear();
+    // Fixture records are only loaded again by POST /admin/fixtures/reload
+    const message = resourceStore.generating
+      ? 'Resource store cleared, records will be generated on next GET'
+      : 'Resource store cleared, groups stay empty until fixtures are reloaded';
+    res.json({ message, count: recordCount });
+  });
+
+  app.delete('/admin/cache', (req, res) => {
+    const legacyCount = cache.size;
+    cache.clear();
+    res.json({ message: 'Legacy cache cleared', count: legacyCount });
+  });
+
+  app.delete('/admin/retained-results', (req, res) => {
+    const retainedCount = retainedResultSets.size;
+    retainedResultSets.clear();
+    res.json({ message: 'All retained result sets cleared', count: retainedCount });
+  });
+
+  app.delete('/admin/retained-results/:token', (req, res) => {
+    const { token } = req.params;
+    const existed = retainedResultSets.delete(token);
+
+    if (existed) {
+      res.json({ message: `Retained result set ${token} deleted` });
+    } else {
+      res.status(404).json({ error: `Retained result set ${token} not found` });
+    }
+  });
+
+  /**
+   * Force sessions to expire, chosen by { username }, { sessionId } or { ltpaToken2 }
+   * Their next request is refused as if the LtpaToken2 had timed out
+   */
+  app.post('/admin/sessions/expire', (req, res) => {
+    const { username, sessionId, ltpaToken2 } = req.body || {};
+
+    if (!username && !sessionId && !ltpaToken2) {
+      return res.status(400).json({ error: 'Give the username, sessionId or ltpaToken2 of the sessions to expire' });
+    }
+
+    const expired = [];
+    for (const [id, session] of sessions.entries()) {
+      if ((username && session.username.toLowerCase() === String(username).toLowerCase()) ||
+          (sessionId && id === sessionId) ||
+          (ltpaToken2 && session.ltpaToken2 === ltpaToken2)) {
+        session.expired = true;
+        expired.push(id);
+      }
+    }
+
+    if (expired.length === 0) {
+      return res.status(404).json({ error: 'No matching sessions' });
+    }
 
-  const isExpired = new Date() > stored.expiresAt;
+    logger.log(`⌛ Forced ${expired.length} session(s) to expire`);
+    res.json({ message: `${expired.length} session(s) expired`, sessionIds: expired });
+  });
 
-  if (isExpired) {
-    otpStorage.delete(username); // Clean up expired OTP
-    return res.json({
-      hasOTP: false,
-      message: 'OTP has expired'
+  app.delete('/admin/sessions', (req, res) => {
+    const sessionCount = sessions.size;
+    const ltpaTokenCount = ltpaTokens.size;
+    sessions.clear();
+    ltpaTokens.clear();
+    // Also clear retained result sets since they're session-dependent
+    const retainedCount = retainedResultSets.size;
+    retainedResultSets.clear();
+
+    res.json({
+      message: 'All sessions, LtpaToken2 mappings, and retained result sets cleared',
+      sessionCount: sessionCount,
+      ltpaTokenCount: ltpaTokenCount,
+      retainedResultSetsCount: retainedCount
     });
-  }
+  });
+
+  app.delete('/admin/ltpa-tokens', (req, res) => {
+    const tokenCount = ltpaTokens.size;
+    ltpaTokens.clear();
 
-  const timeRemaining = Math.ceil((stored.expiresAt - new Date()) / 1000);
+    // Remove LtpaToken2 from session objects as well
+    for (const [sessionId, session] of sessions.entries()) {
+      if (session.ltpaToken2) {
+        delete session.ltpaToken2;
+        sessions.set(sessionId, session);
+      }
+    }
 
-  res.json({
-    hasOTP: true,
-    expiresAt: stored.expiresAt.toISOString(),
-    timeRemainingSeconds: timeRemaining,
-    message: `OTP is valid for ${timeRemaining} more seconds`
+    res.json({
+      message: 'All LtpaToken2 mappings cleared',
+      count: tokenCount
+    });
   });
-});
 
-// Admin endpoint to view all active OTPs
-app.get('/admin/otps', (req, res) => {
-  const otpList = Array.from(otpStorage.entries()).map(([username, data]) => ({
-    username,
-    expiresAt: data.expiresAt.toISOString(),
-    isExpired: new Date() > data.expiresAt,
-    timeRemainingSeconds: Math.max(0, Math.ceil((data.expiresAt - new Date()) / 1000))
-  }));
-
-  res.json({
-    activeOTPs: otpList,
-    count: otpList.length
+  /**
+   * OTP Management Endpoints
+   */
+
+  // End the session of an LtpaToken2, so it can no longer be used
+  app.post('/auth/logout', (req, res) => {
+    const ltpaToken = req.headers.ltpatoken2 || req.cookies.LtpaToken2;
+    const sessionId = ltpaToken ? ltpaTokens.get(ltpaToken) : null;
+    const session = sessionId ? sessions.get(sessionId) : null;
+
+    res.clearCookie('LtpaToken2');
+
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired LtpaToken2' });
+    }
+
+    endSession(sessionId);
+    logger.log(`👋 Logged out ${session.username} (session ${sessionId})`);
+    res.json({ message: `Logged out ${session.username}`, sessionId });
   });
-});
 
-// Clear all OTPs (admin endpoint)
-app.delete('/admin/otps', (req, res) => {
-  const otpCount = otpStorage.size;
-  otpStorage.clear();
+  // Change the password of a user, including one whose password has expired
+  app.post('/auth/change-password', (req, res) => {
+    const { username, password, newPassword } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({ error: 'username, password and newPassword are required' });
+    }
+
+    const user = userRegistry.getUser(username);
+    if (user?.revoked) {
+      return refuseRevokedUser(res, user);
+    }
+    if (!userRegistry.checkPassword(username, password)) {
+      recordFailedLogin(username);
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    try {
+      userRegistry.changePassword(username, newPassword);
+    } catch (error) {
+      if (!(error instanceof UserRegistryError)) {
+        throw error;
+      }
+      return res.status(400).json({ error: error.message, reason: 'new-password-invalid' });
+    }
 
-  res.json({
-    message: 'All OTPs cleared',
-    count: otpCount
+    userRegistry.recordLogin(user.username);
+    logger.log(`🔑 Changed the password of ${user.username}`);
+    res.json({ message: `Password of ${user.username} changed` });
   });
-});
 
-/**
- * Error handling middleware
- */
-app.use((error, req, res, next) => {
-  console.error('Server error:', error);
-
-  const errorResponse = createXMLResponse({
-    api_function: req.method,
-    api_response1: CMCI_CONSTANTS.RESPONSE_CODES.INVALIDDATA,
-    api_response2: CMCI_CONSTANTS.SUCCESS_RESPONSE_2,
-    api_response1_alt: 'INVALIDDATA',
-    api_response2_alt: error.message || 'Internal server error',
-    recordcount: '0'
+  // Generate OTP for a user who logs in with one-time passwords
+  app.post('/auth/generate-otp', (req, res) => {
+    const { username } = req.body;
+
+    if (!username) {
+      return res.status(400).json({ error: 'Username is required' });
+    }
+
+    if (!userRegistry.isOtpUser(username)) {
+      return res.status(403).json({ error: `${username} does not log in with one-time passwords` });
+    }
+    const user = userRegistry.getUser(username);
+
+    // TOTP codes come from the shared secret; hand out the current one for convenience
+    if (user.otp.mode === 'totp') {
+      const step = getTimeStep(Date.now(), user.otp.period);
+      const remainingTime = Math.ceil((step + 1) * user.otp.period - Date.now() / 1000);
+      return res.json({
+        message: `Current TOTP code for ${user.username}`,
+        otp: generateTotp(user.otp.secret, user.otp),
+        mode: 'totp',
+        expiresIn: `${remainingTime} seconds`,
+        isReused: false,
+        usage: `Use this code as the password with username '${user.username}' once; the secret is at /admin/users/${user.username}/totp`
+      });
+    }
+
+    const { otp, mode, expiresAt, isReused } = generateOTP(user, req.random);
+    const remainingTime = Math.ceil((expiresAt - new Date()) / 1000);
+
+    res.json({
+      message: isReused ? `Reusing existing OTP for ${user.username}` : `New OTP generated for ${user.username}`,
+      otp: otp,
+      mode: mode,
+      expiresIn: `${Math.floor(remainingTime / 60)}m ${remainingTime % 60}s remaining`,
+      isReused: isReused,
+      usage: mode === 'single-use'
+        ? `Use this OTP as the password with username '${user.username}' for one authentication`
+        : `Use this OTP as the password with username '${user.username}' for authentication`
+    });
   });
 
-  res.status(500).set('Content-Type', 'application/xml').send(errorResponse);
-});
+  // Check OTP status of a user who logs in with one-time passwords
+  app.get('/auth/otp-status/:username', (req, res) => {
+    if (!userRegistry.isOtpUser(req.params.username)) {
+      return res.status(403).json({ error: `${req.params.username} does not log in with one-time passwords` });
+    }
+    const user = userRegistry.getUser(req.params.username);
+    const { username } = user;
+
+    if (user.otp.mode === 'totp') {
+      const timeRemaining = Math.ceil((getTimeStep(Date.now(), user.otp.period) + 1) * user.otp.period - Date.now() / 1000);
+      return res.json({
+        hasOTP: true,
+        mode: 'totp',
+        timeRemainingSeconds: timeRemaining,
+        message: `The current TOTP code is valid for ${timeRemaining} more seconds`
+      });
+    }
+
+    const stored = otpStorage.get(username);
+
+    if (!stored) {
+      return res.json({
+        hasOTP: false,
+        message: 'No active OTP for this user'
+      });
+    }
+
+    const isExpired = new Date() > stored.expiresAt;
+
+    if (isExpired) {
+      otpStorage.delete(username); // Clean up expired OTP
+      return res.json({
+        hasOTP: false,
+        message: 'OTP has expired'
+      });
+    }
+
+    const timeRemaining = Math.ceil((stored.expiresAt - new Date()) / 1000);
+
+    res.json({
+      hasOTP: true,
+      mode: stored.mode,
+      expiresAt: stored.expiresAt.toISOString(),
+      timeRemainingSeconds: timeRemaining,
+      message: `OTP is valid for ${timeRemaining} more seconds`
+    });
+  });
+
+  // Admin endpoint to view all active OTPs
+  app.get('/admin/otps', (req, res) => {
+    const otpList = Array.from(otpStorage.entries()).map(([username, data]) => ({
+      username,
+      mode: data.mode,
+      expiresAt: data.expiresAt.toISOString(),
+      isExpired: new Date() > data.expiresAt,
+      timeRemainingSeconds: Math.max(0, Math.ceil((data.expiresAt - new Date()) / 1000))
+    }));
+
+    res.json({
+      activeOTPs: otpList,
+      count: otpList.length
+    });
+  });
+
+  // Clear all OTPs (admin endpoint)
+  app.delete('/admin/otps', (req, res) => {
+    const otpCount = otpStorage.size;
+    otpStorage.clear();
+    totpSteps.clear();
+
+    res.json({
+      message: 'All OTPs cleared',
+      count: otpCount
+    });
+  });
+
+  /**
+   * Error handling middleware
+   * Errors carrying a 4xx status, such as a body express.json cannot parse, are the client's:
+   * CMCI requests get INVALIDPARM and other requests a plain JSON error. Anything else is SERVERERROR,
+   * with the error's own 5xx status if it has one.
+   */
+  app.use((error, req, res, next) => {
+    const status = Number(error.status ?? error.statusCode);
+
+    if (status >= 400 && status < 500) {
+      logger.log(`❌ ${req.method} ${req.path} refused with ${status}: ${error.message}`);
+      if (!req.path.startsWith(`/${CMCI_CONSTANTS.CICS_SYSTEM_MANAGEMENT}/`)) {
+        return res.status(status).json({ error: error.message });
+      }
+      return sendCMCIError(res, status, req.method, 'INVALIDPARM', error.message, CMCI_CONSTANTS.SUCCESS_RESPONSE_2);
+    }
+
+    logger.error('Server error:', error);
+
+    sendCMCIError(res, status >= 500 && status < 600 ? status : 500, req.method, 'SERVERERROR', error.message || 'Internal server error', CMCI_CONSTANTS.SUCCESS_RESPONSE_2);
+  });
+
+  // Listeners and timer of a started server
+  let httpServer = null;
+  let httpsServer = null;
+  let cleanupTimer = null;
+
+  /**
+   * Listen on a port and resolve with the port actually bound
+   */
+  function listen(server, port) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, options.host, () => {
+        server.off('error', reject);
+        resolve(server.address().port);
+      });
+    });
+  }
+
+  /**
+   * Close a listener, dropping kept-alive connections so it closes straight away
+   */
+  function close(server) {
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+  }
+
+  // Host name used in the URLs of a started server
+  const urlHost = !options.host || ['0.0.0.0', '::'].includes(options.host) ? 'localhost' : options.host;
+
+  const mockServer = {
+    app,
+    url: null,
+    httpsUrl: null,
+    tls: null,
+
+    // State of this instance, for tests to arrange or inspect
+    stores: {
+      sessions,
+      ltpaTokens,
+      otpStorage,
+      cache,
+      retainedResultSets,
+      resourceStore,
+      faultRegistry,
+      random,
+      get userRegistry() {
+        return userRegistry;
+      },
+      get topology() {
+        return topology;
+      },
+      get fixtureStatus() {
+        return fixtureStatus;
+      }
+    },
+
+    /**
+     * Start listening and resolve with the HTTP URL, e.g. http://localhost:41234
+     * The HTTPS listener is started too when httpsPort is given; its URL is in httpsUrl.
+     */
+    async start() {
+      if (httpServer) {
+        return mockServer.url;
+      }
+
+      httpServer = http.createServer(app);
+
+      try {
+        const port = await listen(httpServer, options.port ?? 9080);
+        mockServer.url = `http://${urlHost}:${port}`;
+
+        if (options.httpsPort !== undefined && options.httpsPort !== null) {
+          const tls = await loadTlsOptions({
+            ...options.tls,
+            certDir: options.tls?.certDir || path.join(__dirname, 'certs')
+          });
+          httpsServer = https.createServer(tls.options, app);
+          const httpsPort = await listen(httpsServer, options.httpsPort);
+          mockServer.httpsUrl = `https://${urlHost}:${httpsPort}`;
+          mockServer.tls = tls;
+        }
+      } catch (error) {
+        await mockServer.stop();
+        throw error;
+      }
+
+      cleanupTimer = setInterval(() => {
+        cleanupRetainedResultSets();
+        cleanupExpiredSessions();
+      }, cleanupInterval);
+      return mockServer.url;
+    },
+
+    /**
+     * Stop the listeners and the cleanup timer; the state is kept until reset()
+     */
+    async stop() {
+      clearInterval(cleanupTimer);
+      cleanupTimer = null;
+
+      const servers = [httpServer, httpsServer].filter(server => server?.listening);
+      httpServer = null;
+      httpsServer = null;
+      mockServer.url = null;
+      mockServer.httpsUrl = null;
+
+      await Promise.all(servers.map(close));
+    },
+
+    /**
+     * Return to the state of a new instance: no sessions, OTPs, cached or retained
+     * results or fault rules, seeded values starting over, and the users, the base
+     * topology or fixture estate reloaded
+     */
+    reset() {
+      sessions.clear();
+      ltpaTokens.clear();
+      otpStorage.clear();
+      totpSteps.clear();
+      cache.clear();
+      retainedResultSets.clear();
+      faultRegistry.clear();
+      resourceStore.clear();
+      resourceStore.generating = true;
+      random.reset();
+      headerRandoms.clear();
+      userRegistry = loadUserRegistry();
+      topology = loadBaseTopology();
+      fixtureStatus = null;
+
+      if (fixturesDir) {
+        loadFixtureEstate();
+      }
+    }
+  };
+
+  return mockServer;
+}
 
 /**
- * Start the server
+ * Read a command line option given as --name value or --name=value
  */
-app.listen(PORT, () => {
-  console.log(`🚀 CICS CMCI Mock Server running on port ${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/health`);
-  console.log(`🔧 Admin panel: http://localhost:${PORT}/admin/sessions`);
-  console.log(`🔑 LtpaToken2 admin: http://localhost:${PORT}/admin/ltpa-tokens`);
-  console.log(`🔢 OTP management: http://localhost:${PORT}/admin/otps`);
-  console.log(`📚 Example endpoint: http://localhost:${PORT}/${CMCI_CONSTANTS.CICS_SYSTEM_MANAGEMENT}/CICSManagedRegion`);
+function getCliOption(name) {
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === `--${name}`) {
+      return args[i + 1];
+    }
+    if (args[i].startsWith(`--${name}=`)) {
+      return args[i].slice(name.length + 3);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Start the server from the command line, configured through the environment
+ */
+async function main() {
+  const fixturesDir = getCliOption('fixtures') || process.env.FIXTURES_DIR || null;
+  let server;
+
+  try {
+    server = createMockServer({
+      port: Number(process.env.PORT || 9080),
+      httpsPort: process.env.HTTPS_PORT ? Number(process.env.HTTPS_PORT) : null,
+      topologyFile: process.env.TOPOLOGY_FILE,
+      fixturesDir,
+      recordCount: process.env.RECORD_COUNT ? Number(process.env.RECORD_COUNT) : undefined,
+      usersFile: getCliOption('users') || process.env.USERS_FILE,
+      sessionTimeout: process.env.SESSION_TIMEOUT ? Number(process.env.SESSION_TIMEOUT) * 1000 : undefined,
+      sessionIdleTimeout: process.env.SESSION_IDLE_TIMEOUT ? Number(process.env.SESSION_IDLE_TIMEOUT) * 1000 : undefined,
+      stickySessions: process.env.STICKY_SESSIONS === 'true',
+      maxSessionsPerUser: process.env.MAX_SESSIONS_PER_USER ? Number(process.env.MAX_SESSIONS_PER_USER) : undefined,
+      maxFailedAttempts: process.env.MAX_FAILED_ATTEMPTS ? Number(process.env.MAX_FAILED_ATTEMPTS) : undefined,
+      warningRecordCount: process.env.WARNING_RECORD_COUNT ? Number(process.env.WARNING_RECORD_COUNT) : undefined,
+      strictCmci: process.env.STRICT_CMCI === 'true',
+      cleanupInterval: process.env.CLEANUP_INTERVAL ? Number(process.env.CLEANUP_INTERVAL) * 1000 : undefined,
+      retainedResultSetExpiry: process.env.RETAINED_RESULT_SET_EXPIRY ? Number(process.env.RETAINED_RESULT_SET_EXPIRY) * 1000 : undefined,
+      maxRetainedResultSets: process.env.MAX_RETAINED_RESULT_SETS ? Number(process.env.MAX_RETAINED_RESULT_SETS) : undefined,
+      maxRetainedResultSetsPerSession: process.env.MAX_RETAINED_RESULT_SETS_PER_SESSION
+        ? Number(process.env.MAX_RETAINED_RESULT_SETS_PER_SESSION) : undefined,
+      adminToken: process.env.ADMIN_TOKEN,
+      adminRole: process.env.ADMIN_ROLE,
+      seed: getCliOption('seed') ?? process.env.MOCK_SEED,
+      tls: {
+        certFile: process.env.TLS_CERT_FILE,
+        keyFile: process.env.TLS_KEY_FILE,
+        caFile: process.env.TLS_CA_FILE,
+        certDir: process.env.TLS_CERT_DIR,
+        clientAuth: process.env.TLS_CLIENT_AUTH,
+        clientCn: process.env.TLS_CLIENT_CN
+      }
+    });
+  } catch (error) {
+    if (error instanceof FixtureError) {
+      console.error(`❌ Could not load fixtures: ${error.message}`);
+      process.exit(1);
+    }
+    if (error instanceof UserRegistryError) {
+      console.error(`❌ Could not load users: ${error.message}`);
+      process.exit(1);
+    }
+    if (error instanceof TopologyError) {
+      console.error(`❌ Could not load topology: ${error.message}`);
+      process.exit(1);
+    }
+    throw error;
+  }
+
+  let url;
+  try {
+    url = await server.start();
+  } catch (error) {
+    console.error(`❌ Could not start server: ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log(`🚀 CICS CMCI Mock Server running at ${url}`);
+  console.log(`📊 Health check: ${url}/health`);
+  console.log(`🔧 Admin panel: ${url}/admin/sessions`);
+  console.log(`🔑 LtpaToken2 admin: ${url}/admin/ltpa-tokens`);
+  console.log(`🔢 OTP management: ${url}/admin/otps`);
+  if (process.env.ADMIN_TOKEN || process.env.ADMIN_ROLE) {
+    console.log(`🛡️  Admin endpoints need ${[process.env.ADMIN_TOKEN && 'the X-Admin-Token header', process.env.ADMIN_ROLE && `a user with the ${process.env.ADMIN_ROLE} role`].filter(Boolean).join(' or ')}`);
+  }
+  if (process.env.WARNING_RECORD_COUNT) {
+    console.log(`⚠️  Warning record count: ${process.env.WARNING_RECORD_COUNT} (OVERRIDEWARNINGCOUNT returns more)`);
+  }
+  if (process.env.MAX_RETAINED_RESULT_SETS || process.env.MAX_RETAINED_RESULT_SETS_PER_SESSION) {
+    console.log(`🗃️  Retained result set limits: ${process.env.MAX_RETAINED_RESULT_SETS || 'no limit'} in all, ${process.env.MAX_RETAINED_RESULT_SETS_PER_SESSION || 'no limit'} per session`);
+  }
+  if (process.env.STRICT_CMCI === 'true') {
+    console.log('📏 Strict CMCI: result sets are retained only for NODISCARD');
+  }
+  if (fixturesDir) {
+    console.log(`📂 Fixtures: ${fixturesDir} (reload via POST /admin/fixtures/reload)`);
+  }
+  if (server.stores.random.seeded) {
+    console.log(`🎲 Seed: ${server.stores.random.seed} (keys, tokens and OTPs repeat on every run)`);
+  }
+  console.log(`📚 Example endpoint: ${url}/${CMCI_CONSTANTS.CICS_SYSTEM_MANAGEMENT}/CICSManagedRegion`);
+  if (server.tls) {
+    if (server.tls.generated) {
+      console.log(`📜 Generated self-signed certificate and client certificate in ${path.dirname(server.tls.files.cert)}`);
+    }
+    console.log(`🔒 HTTPS listener running at ${server.httpsUrl} (certificate: ${server.tls.files.cert})`);
+    if (server.tls.clientAuth !== 'none') {
+      console.log(`🪪 Client certificates (${server.tls.clientAuth}) verified against ${server.tls.files.ca}; the CN is the user`);
+    }
+  }
   console.log('');
   console.log('🔐 Authentication:');
   console.log('  - Admin: Use Basic Auth (adminusr:adminpas)');
+  console.log('  - Read-only: Use Basic Auth (readusr:readpas); changes get NOTPERMIT');
   console.log('  - testuser: Generate OTP via POST /auth/generate-otp, then use as password');
+  console.log('  - Users and permissions: GET /admin/users');
   console.log('  - Subsequent: Use LtpaToken2 header or cookie (automatically set)');
+  console.log('  - Logout: POST /auth/logout with the LtpaToken2; force expiry via POST /admin/sessions/expire');
   console.log('📝 Query parameters:');
-  console.log('  - count=N: Return N mock records');
+  console.log('  - count=N: Return at most the first N records (never adds records)');
   console.log('  - simulate=nodata: Return NODATA response');
 
   console.log('  - nodiscard: Keep result set after request');
   console.log('  - summonly: Return summary only');
   console.log('  - index=N&count=M: Paginate cached results');
   console.log('  - orderby=FIELD: Sort cached results');
-  console.log('📦 All responses now include automatic cache tokens!');
+  if (process.env.STRICT_CMCI === 'true') {
+    console.log('📦 Cache tokens are returned only for GETs with NODISCARD');
+  } else {
+    console.log('📦 All responses now include automatic cache tokens!');
+  }
   console.log('🔗 Use cache tokens via: /CICSResultCache/{token}[/{index}[/{count}]]');
   console.log('🍪 LtpaToken2 cookies are automatically set for authenticated sessions');
-});
+}
+
+if (require.main === module) {
+  main();
+}
 
-module.exports = app;
+module.exports = {
+  createMockServer,
+  CMCI_CONSTANTS
+};
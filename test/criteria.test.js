@@ -0,0 +1,86 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CriteriaError, parseCriteria, evaluateCriteria, getCriteriaAttributes } = require('../lib/criteria');
+
+const record = attributes => ({ $: attributes });
+
+describe('parseCriteria', () => {
+  it('returns null when no expression is given', () => {
+    assert.equal(parseCriteria(undefined), null);
+  });
+
+  it('parses a comparison, lowercasing the attribute', () => {
+    assert.deepEqual(parseCriteria('PROGRAM=DFH*'), { type: 'compare', attribute: 'program', operator: '=', value: 'DFH*' });
+  });
+
+  it('maps operator mnemonics to their symbols', () => {
+    assert.equal(parseCriteria('USECOUNT GE 10').operator, '>=');
+    assert.equal(parseCriteria('STATUS NE DISABLED').operator, '¬=');
+  });
+
+  it('binds AND tighter than OR', () => {
+    const tree = parseCriteria('A=1 OR B=2 AND C=3');
+    assert.equal(tree.type, 'or');
+    assert.equal(tree.right.type, 'and');
+  });
+
+  it('groups with parentheses', () => {
+    const tree = parseCriteria('(A=1 OR B=2) AND C=3');
+    assert.equal(tree.type, 'and');
+    assert.equal(tree.left.type, 'or');
+  });
+
+  it('reads quoted values with blanks and doubled quotes', () => {
+    assert.equal(parseCriteria("DESC='It''s a test'").value, "It's a test");
+  });
+
+  for (const expression of ['', 'PROGRAM', 'PROGRAM=', '(A=1', 'A=1 B=2', "A='open", '=1', 'A=1 AND']) {
+    it(`rejects '${expression}'`, () => {
+      assert.throws(() => parseCriteria(expression), CriteriaError);
+    });
+  }
+
+  it('rejects a repeated CRITERIA parameter', () => {
+    assert.throws(() => parseCriteria(['A=1', 'B=2']), CriteriaError);
+  });
+
+  it('lists the attributes an expression refers to', () => {
+    assert.deepEqual(getCriteriaAttributes(parseCriteria('A=1 AND (B=2 OR A=3)')), ['a', 'b']);
+  });
+});
+
+describe('evaluateCriteria', () => {
+  const program = record({ program: 'DFHPGM1', status: 'ENABLED', usecount: '120' });
+  const matches = expression => evaluateCriteria(parseCriteria(expression), program);
+
+  it('matches everything without an expression', () => {
+    assert.equal(evaluateCriteria(null, program), true);
+  });
+
+  it('matches * and + wildcards', () => {
+    assert.equal(matches('PROGRAM=DFH*'), true);
+    assert.equal(matches('PROGRAM=DFHPGM+'), true);
+    assert.equal(matches('PROGRAM=DFH+'), false);
+    assert.equal(matches('PROGRAM¬=DFH*'), false);
+  });
+
+  it('compares numbers numerically', () => {
+    assert.equal(matches('USECOUNT>99'), true);
+    assert.equal(matches('USECOUNT<20'), false);
+    assert.equal(matches('USECOUNT<=120'), true);
+  });
+
+  it('combines AND and OR', () => {
+    assert.equal(matches('STATUS=DISABLED OR USECOUNT>100'), true);
+    assert.equal(matches('STATUS=DISABLED AND USECOUNT>100'), false);
+  });
+
+  it('treats a missing attribute as blank', () => {
+    assert.equal(matches("LANGUAGE=''"), true);
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { FaultError, FaultRegistry, pickLatency } = require('../lib/faults');
+const { MockRandom } = require('../lib/random');
+
+describe('FaultRegistry', () => {
+  const feedback = { type: 'feedback', eibresp: 'INVREQ', eibresp2: 3 };
+
+  it('accepts feedback rules that match PUT', () => {
+    const rule = new FaultRegistry().add({ match: { method: 'put' }, error: feedback });
+    assert.equal(rule.error.eibresp, '16');
+  });
+
+  for (const method of [undefined, 'GET', 'POST', 'DELETE', '*']) {
+    it(`rejects feedback rules matching method ${method}`, () => {
+      assert.throws(() => new FaultRegistry().add({ match: { method }, error: feedback }), FaultError);
+    });
+  }
+});
+
+describe('pickLatency', () => {
+  const latency = { min: 100, max: 2000 };
+
+  it('picks a delay in range', () => {
+    const delay = pickLatency(latency, new MockRandom());
+    assert.ok(delay >= latency.min && delay <= latency.max);
+  });
+
+  it('picks the same delays with the same seed', () => {
+    const delays = random => [1, 2, 3].map(() => pickLatency(latency, random));
+    assert.deepEqual(delays(new MockRandom('seed')), delays(new MockRandom('seed')));
+  });
+});
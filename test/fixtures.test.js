@@ -0,0 +1,46 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FixtureError, loadFixtures } = require('../lib/fixtures');
+
+describe('loadFixtures', () => {
+  let directory;
+
+  const writeFixture = (file, content) => fs.writeFileSync(path.join(directory, file), JSON.stringify(content));
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+  });
+
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it('lowercases the resource type', () => {
+    writeFixture('01-programs.json', { resources: [{ type: 'CICSProgram', records: [{ program: 'MYPROG' }] }] });
+    assert.equal(loadFixtures(directory).resources[0].type, 'cicsprogram');
+  });
+
+  it('rejects an unknown resource type, naming the file', () => {
+    writeFixture('02-typo.json', { resources: [{ type: 'CICSProgramm', records: [] }] });
+    assert.throws(() => loadFixtures(directory), error =>
+      error instanceof FixtureError && error.file === '02-typo.json' && /unknown type CICSProgramm/.test(error.message));
+  });
+
+  it('reports a fixture file that cannot be read as a FixtureError, naming the file', () => {
+    const unreadable = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+    fs.mkdirSync(path.join(unreadable, 'regions.json'));
+
+    try {
+      assert.throws(() => loadFixtures(unreadable), error =>
+        error instanceof FixtureError && error.file === 'regions.json' && /EISDIR/.test(error.message));
+    } finally {
+      fs.rmSync(unreadable, { recursive: true, force: true });
+    }
+  });
+});
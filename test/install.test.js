@@ -0,0 +1,40 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { GENERATORS } = require('../lib/mock-data');
+const { INSTALL_TARGETS, buildInstalledAttributes } = require('../lib/install');
+
+const definition = attributes => ({ $: { name: 'MYDEF', csdgroup: 'MYGRP', ...attributes } });
+
+describe('buildInstalledAttributes', () => {
+  for (const target of Object.values(INSTALL_TARGETS)) {
+    it(`sets every state attribute of ${target.resourceType} from the definition`, () => {
+      const states = Object.keys(GENERATORS[target.resourceType](0)).filter(name => /(status|stat|st|state)$/.test(name));
+      const derived = Object.keys(target.attributes({ name: 'MYDEF' }));
+      assert.deepEqual(states.filter(name => !derived.includes(name)), []);
+    });
+  }
+
+  it('installs a disabled transaction as unavailable', () => {
+    const installed = buildInstalledAttributes('cicsdefinitiontransaction', definition({ status: 'DISABLED', routable: 'YES' }));
+    assert.equal(installed.status, 'DISABLED');
+    assert.equal(installed.availstatus, 'UNAVAILABLE');
+    assert.equal(installed.routestatus, 'ROUTABLE');
+  });
+
+  it('installs a program that uses the LPA copy as shared', () => {
+    const installed = buildInstalledAttributes('cicsdefinitionprogram', definition({ uselpacopy: 'YES' }));
+    assert.equal(installed.sharestatus, 'SHARED');
+  });
+
+  it('installs a disabled bundle as disabled and unavailable', () => {
+    const installed = buildInstalledAttributes('cicsdefinitionbundle', definition({ status: 'DISABLED' }));
+    assert.equal(installed.enablestatus, 'DISABLED');
+    assert.equal(installed.availstatus, 'UNAVAILABLE');
+    assert.equal(installed.enabledcount, '0');
+  });
+});
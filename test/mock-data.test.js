@@ -0,0 +1,35 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { GENERATORS, generateMockData } = require('../lib/mock-data');
+const { MockRandom } = require('../lib/random');
+
+describe('GENERATORS', () => {
+  for (const [resourceType, generator] of Object.entries(GENERATORS)) {
+    it(`generates ${resourceType} attributes as strings`, () => {
+      for (const i of [0, 1, 7]) {
+        for (const [name, value] of Object.entries(generator(i))) {
+          assert.equal(typeof value, 'string', `${resourceType} ${name}`);
+        }
+      }
+    });
+  }
+});
+
+describe('generateMockData', () => {
+  it('generates every resource type with a _keydata', () => {
+    for (const resourceType of Object.keys(GENERATORS)) {
+      const [record] = generateMockData(resourceType);
+      assert.match(record.$._keydata, /^[0-9A-F]+$/, resourceType);
+    }
+  });
+
+  it('generates the same records with the same seed', () => {
+    const generate = () => generateMockData('cicstask', 3, 0, { random: new MockRandom('seed'), group: 'PLEX1/REGION1' });
+    assert.deepEqual(generate(), generate());
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { OrderByError, parseOrderBy, sortRecords } = require('../lib/orderby');
+const { ATTRIBUTE_TYPES, getAttributeType } = require('../lib/attributes');
+
+const record = attributes => ({ $: attributes });
+const sortValues = (resourceType, attribute, values, direction = '') =>
+  sortRecords(values.map(value => record({ [attribute]: value })), resourceType, parseOrderBy(`${attribute} ${direction}`))
+    .map(sorted => sorted.$[attribute]);
+
+describe('parseOrderBy', () => {
+  it('returns null when no value is given', () => {
+    assert.equal(parseOrderBy(undefined), null);
+  });
+
+  it('parses keys, lowercasing attributes and defaulting to ascending', () => {
+    assert.deepEqual(parseOrderBy('STATUS,USECOUNT DESC, program asc'), [
+      { attribute: 'status', descending: false },
+      { attribute: 'usecount', descending: true },
+      { attribute: 'program', descending: false }
+    ]);
+  });
+
+  it('rejects a direction other than ASC or DESC', () => {
+    assert.throws(() => parseOrderBy('USECOUNT DOWN'), OrderByError);
+  });
+
+  it('rejects an empty key and extra words', () => {
+    assert.throws(() => parseOrderBy('STATUS,,USECOUNT'), OrderByError);
+    assert.throws(() => parseOrderBy('USECOUNT DESC NOW'), OrderByError);
+  });
+
+  it('rejects a repeated parameter', () => {
+    assert.throws(() => parseOrderBy(['STATUS', 'USECOUNT']), OrderByError);
+  });
+
+  it('rejects more than 32 keys', () => {
+    const keys = Array.from({ length: 33 }, (_, i) => `A${i}`).join(',');
+    assert.throws(() => parseOrderBy(keys), OrderByError);
+  });
+});
+
+describe('getAttributeType', () => {
+  it('takes a resource type\'s own declaration over the defaults', () => {
+    assert.equal(getAttributeType('cicstask', 'cputime').type, ATTRIBUTE_TYPES.TIMESTAMP);
+    assert.equal(getAttributeType('cicsregion', 'cputime').type, ATTRIBUTE_TYPES.NUMERIC);
+    assert.deepEqual(getAttributeType('cicscicsplex', 'status').values, ['ACTIVE', 'INACTIVE']);
+  });
+
+  it('declares YES/NO attributes of definitions', () => {
+    assert.deepEqual(getAttributeType('cicsdefinitiontransaction', 'trace').values, ['YES', 'NO']);
+    assert.equal(getAttributeType('cicsjvmserver', 'trace').type, ATTRIBUTE_TYPES.CHARACTER);
+  });
+
+  it('treats undeclared attributes as character', () => {
+    assert.deepEqual(getAttributeType('cicsprogram', 'changeusrid'), { type: ATTRIBUTE_TYPES.CHARACTER });
+    assert.deepEqual(getAttributeType('cicsnosuchtype', 'anything'), { type: ATTRIBUTE_TYPES.CHARACTER });
+  });
+});
+
+describe('sortRecords', () => {
+  it('leaves records unsorted without keys', () => {
+    const records = [record({ name: 'B' }), record({ name: 'A' })];
+    assert.equal(sortRecords(records, 'cicsprogram', null), records);
+  });
+
+  it('compares numeric attributes as numbers, blanks first', () => {
+    assert.deepEqual(sortValues('cicsprogram', 'usecount', ['111', '37', '', '4']), ['', '4', '37', '111']);
+    assert.deepEqual(sortValues('cicsprogram', 'usecount', ['111', '37', '4'], 'DESC'), ['111', '37', '4']);
+  });
+
+  it('compares timestamps and intervals in time order', () => {
+    assert.deepEqual(
+      sortValues('cicsprogram', 'changetime', ['2025-01-06T10:00:00.000000+00:00', '2025-01-06T08:00:00.000000-03:00']),
+      ['2025-01-06T10:00:00.000000+00:00', '2025-01-06T08:00:00.000000-03:00']
+    );
+    assert.deepEqual(
+      sortValues('cicstask', 'cputime', ['00:01:00.000000', '00:00:09.500000', '00:00:10.000000']),
+      ['00:00:09.500000', '00:00:10.000000', '00:01:00.000000']
+    );
+  });
+
+  it('compares enumerated attributes in the order of their value list, unknown values after', () => {
+    assert.deepEqual(
+      sortValues('cicstask', 'runstatus', ['SUSPENDED', 'WAITING', 'RUNNING', 'DISPATCHABLE']),
+      ['RUNNING', 'DISPATCHABLE', 'SUSPENDED', 'WAITING']
+    );
+    assert.deepEqual(sortValues('cicsprogram', 'status', ['DISABLED', 'ENABLED']), ['ENABLED', 'DISABLED']);
+  });
+
+  it('compares character attributes by their text, even when they look like numbers', () => {
+    assert.deepEqual(sortValues('cicsprogram', 'program', ['PROGB', 'PROGA']), ['PROGA', 'PROGB']);
+    assert.deepEqual(sortValues('cicsregion', 'cicstslevel', ['10', '9']), ['10', '9']);
+  });
+
+  it('compares attributes of types with no generator by their text', () => {
+    assert.deepEqual(sortValues('cicsnosuchtype', 'count', ['9', '10', '100']), ['10', '100', '9']);
+  });
+
+  it('sorts by later keys when earlier ones compare equal, keeping the order of ties', () => {
+    const records = [
+      record({ name: 'A', status: 'DISABLED', usecount: '5' }),
+      record({ name: 'B', status: 'ENABLED', usecount: '5' }),
+      record({ name: 'C', status: 'ENABLED', usecount: '20' }),
+      record({ name: 'D', status: 'ENABLED', usecount: '5' })
+    ];
+
+    const sorted = sortRecords(records, 'cicsprogram', parseOrderBy('STATUS,USECOUNT DESC'));
+    assert.deepEqual(sorted.map(item => item.$.name), ['C', 'B', 'D', 'A']);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { base32Encode, base32Decode, generateTotp, findTotpStep } = require('../lib/otp');
+
+// SHA1 secret of the RFC 6238 test vectors, the ASCII of "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const RFC_POLICY = { digits: 8, period: 30 };
+
+describe('base32', () => {
+  it('encodes the RFC 6238 secret', () => {
+    assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  it('decodes what it encodes, ignoring case and padding', () => {
+    assert.equal(base32Decode(`${RFC_SECRET.toLowerCase()}====`).toString(), '12345678901234567890');
+  });
+});
+
+describe('generateTotp', () => {
+  const vectors = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+  ];
+
+  for (const [seconds, code] of vectors) {
+    it(`gives ${code} at T=${seconds} (RFC 6238)`, () => {
+      assert.equal(generateTotp(RFC_SECRET, RFC_POLICY, seconds * 1000), code);
+    });
+  }
+
+  it('keeps leading zeros of shorter codes', () => {
+    assert.equal(generateTotp(RFC_SECRET, { digits: 6, period: 30 }, 1111111109 * 1000), '081804');
+  });
+});
+
+describe('findTotpStep', () => {
+  const time = 1111111111 * 1000;
+
+  it('finds the step of a code within the skew', () => {
+    const previous = generateTotp(RFC_SECRET, RFC_POLICY, time - 30 * 1000);
+    assert.equal(findTotpStep(RFC_SECRET, previous, { ...RFC_POLICY, skew: 1 }, time), 37037036);
+  });
+
+  it('rejects a code outside the skew', () => {
+    const previous = generateTotp(RFC_SECRET, RFC_POLICY, time - 30 * 1000);
+    assert.equal(findTotpStep(RFC_SECRET, previous, { ...RFC_POLICY, skew: 0 }, time), null);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ParameterError, parseParameter, buildParameterFilter, validateParameter } = require('../lib/parameter');
+const { createMockServer } = require('../server');
+
+const ADMIN_AUTH = `Basic ${Buffer.from('adminusr:adminpas').toString('base64')}`;
+
+const record = attributes => ({ $: attributes });
+
+describe('parseParameter', () => {
+  it('returns null when no PARAMETER is given', () => {
+    assert.equal(parseParameter(undefined), null);
+  });
+
+  it('parses keywords with and without values, uppercasing the keywords', () => {
+    assert.deepEqual(parseParameter('csdlist(DFHLIST)  CSDGROUP(DFH*) SUMMARY'),
+      { CSDLIST: 'DFHLIST', CSDGROUP: 'DFH*', SUMMARY: null });
+  });
+
+  for (const value of ['', '   ', 'CSDGROUP(A', 'CSDGROUP((A))', '(A)', 'CSDGROUP(A) CSDGROUP(B)']) {
+    it(`rejects '${value}'`, () => {
+      assert.throws(() => parseParameter(value), ParameterError);
+    });
+  }
+
+  it('rejects a repeated PARAMETER parameter', () => {
+    assert.throws(() => parseParameter(['CSDGROUP(A)', 'CSDGROUP(B)']), ParameterError);
+  });
+});
+
+describe('validateParameter', () => {
+  it('requires CSDGROUP or RESGROUP for definitions', () => {
+    assert.throws(() => validateParameter('cicsdefinitionprogram', null), /CSDGROUP or RESGROUP is required/);
+    assert.doesNotThrow(() => validateParameter('cicsdefinitionprogram', { RESGROUP: 'RG1' }));
+  });
+
+  it('rejects keywords the resource type does not support', () => {
+    assert.throws(() => validateParameter('cicsdefinitionprogram', { CSDGROUP: 'G1', CSDLIST: 'L1' }), /CSDLIST is not valid/);
+  });
+
+  it('rejects keywords without a value', () => {
+    assert.throws(() => validateParameter('cicscsdgroup', { CSDGROUP: null }), /requires a value/);
+  });
+
+  it('accepts any PARAMETER for resource types without keywords', () => {
+    assert.doesNotThrow(() => validateParameter('cicsprogram', { ANYTHING: null }));
+  });
+});
+
+describe('buildParameterFilter', () => {
+  it('filters definitions by group, with wildcards', () => {
+    const filter = buildParameterFilter('cicsdefinitionprogram', { CSDGROUP: 'MOCK*' });
+    assert.equal(filter(record({ csdgroup: 'MOCKGRP1' })), true);
+    assert.equal(filter(record({ csdgroup: 'OTHER' })), false);
+  });
+
+  it('requires every keyword to match', () => {
+    const filter = buildParameterFilter('cicscsdgroupinlist', { CSDLIST: 'LIST1', CSDGROUP: 'GRP+' });
+    assert.equal(filter(record({ csdlist: 'LIST1', csdgroup: 'GRP1' })), true);
+    assert.equal(filter(record({ csdlist: 'LIST2', csdgroup: 'GRP1' })), false);
+  });
+
+  it('matches group names in any case', () => {
+    const filter = buildParameterFilter('cicsdefinitionprogram', { CSDGROUP: 'mock*' });
+    assert.equal(filter(record({ csdgroup: 'MOCKGRP1' })), true);
+    assert.equal(filter(record({ csdgroup: 'mockgrp2' })), true);
+  });
+
+  it('keeps every record for resource types without keywords', () => {
+    assert.equal(buildParameterFilter('cicsprogram', { CSDGROUP: 'X' })(record({})), true);
+  });
+});
+
+describe('CSDGROUP round trip', () => {
+  let mock;
+  let baseUrl;
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}/CICSSystemManagement/${path}`, {
+      method,
+      headers: { Authorization: ADMIN_AUTH, 'Content-Type': 'application/xml' },
+      body
+    });
+    const text = await response.text();
+    return { status: response.status, response1: /api_response1_alt="(\w+)"/.exec(text)?.[1], body: text };
+  };
+
+  before(async () => {
+    mock = createMockServer({ port: 0, host: '127.0.0.1', quiet: true });
+    baseUrl = await mock.start();
+  });
+
+  after(() => mock.stop());
+
+  it('finds a definition created with a lower-case PARAMETER group by the same PARAMETER', async () => {
+    const created = await request('POST', 'CICSDefinitionProgram/PLEX1/REGION1?PARAMETER=CSDGROUP(rtgrp1)',
+      '<request><create><parameter name="CSD"/><attributes name="RTPROG1"/></create></request>');
+    assert.equal(created.response1, 'OK');
+
+    const found = await request('GET', 'CICSDefinitionProgram/PLEX1/REGION1?PARAMETER=CSDGROUP(rtgrp1)');
+    assert.equal(found.response1, 'OK');
+    assert.match(found.body, /csdgroup="RTGRP1"/);
+  });
+
+  it('stores a group given in the request body in upper case', async () => {
+    await request('POST', 'CICSDefinitionProgram/PLEX1/REGION1',
+      '<request><create><parameter name="CSD"/><attributes name="RTPROG2" csdgroup="rtgrp2"/></create></request>');
+
+    const found = await request('GET', 'CICSDefinitionProgram/PLEX1/REGION1?PARAMETER=CSDGROUP(RTGRP2)');
+    assert.equal(found.response1, 'OK');
+    assert.match(found.body, /csdgroup="RTGRP2"/);
+  });
+});
@@ -0,0 +1,322 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Fernando Rijo Cedeno
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockServer } = require('../server');
+
+const ADMIN_AUTH = `Basic ${Buffer.from('adminusr:adminpas').toString('base64')}`;
+
+/**
+ * Read the attributes of the <resultsummary> of a CMCI response
+ */
+function getResultSummary(body) {
+  const element = /<resultsummary([^>]*)\/>/.exec(body);
+  assert.ok(element, `no resultsummary in ${body}`);
+  return Object.fromEntries([...element[1].matchAll(/(\w+)="([^"]*)"/g)].map(([, name, value]) => [name, value]));
+}
+
+describe('GET count', () => {
+  let mock;
+  let baseUrl;
+
+  const get = async path => {
+    const response = await fetch(`${baseUrl}/CICSSystemManagement/${path}`, { headers: { Authorization: ADMIN_AUTH } });
+    return { status: response.status, summary: getResultSummary(await response.text()) };
+  };
+
+  before(async () => {
+    mock = createMockServer({ port: 0, host: '127.0.0.1', quiet: true });
+    baseUrl = await mock.start();
+  });
+
+  afterEach(() => mock.reset());
+  after(() => mock.stop());
+
+  it('returns at most count records', async () => {
+    const { summary } = await get('CICSProgram/PLEX1?count=2');
+    assert.equal(summary.api_response1_alt, 'OK');
+    assert.equal(summary.recordcount, '2');
+  });
+
+  it('does not add records to the store', async () => {
+    await get('CICSProgram/PLEX1?count=50');
+    const { summary } = await get('CICSProgram/PLEX1');
+    assert.equal(summary.recordcount, '9');
+  });
+
+  for (const count of ['abc', '0', '-1', '2.5']) {
+    it(`rejects count=${count} with INVALIDPARM COUNT`, async () => {
+      const { status, summary } = await get(`CICSProgram/PLEX1?count=${count}`);
+      assert.equal(status, 400);
+      assert.equal(summary.api_response1_alt, 'INVALIDPARM');
+      assert.equal(summary.api_response2, '14');
+    });
+  }
+});
+
+describe('GET index of a cached result set', () => {
+  let mock;
+  let baseUrl;
+  let cookie = null;
+
+  // Keep the session's cookie, since only the session that retained a result set may read it
+  const get = async path => {
+    const response = await fetch(`${baseUrl}/CICSSystemManagement/${path}`, {
+      headers: { Authorization: ADMIN_AUTH, ...(cookie ? { Cookie: cookie } : {}) }
+    });
+    cookie = response.headers.get('set-cookie')?.split(';')[0] ?? cookie;
+    return { status: response.status, summary: getResultSummary(await response.text()) };
+  };
+
+  before(async () => {
+    mock = createMockServer({ port: 0, host: '127.0.0.1', quiet: true });
+    baseUrl = await mock.start();
+  });
+
+  after(() => mock.stop());
+
+  it('starts at the record index names', async () => {
+    const { summary } = await get('CICSProgram/PLEX1?NODISCARD');
+    const page = await get(`CICSProgram/PLEX1?cachetoken=${summary.cachetoken}&index=8&NODISCARD`);
+    assert.equal(page.summary.api_response1_alt, 'OK');
+    assert.equal(page.summary.recordcount, '9');
+    assert.equal(page.summary.displayed_recordcount, '2');
+  });
+
+  for (const index of ['abc', '0', '-1']) {
+    it(`rejects index=${index} with INVALIDPARM INDEX`, async () => {
+      const { summary } = await get('CICSProgram/PLEX1?NODISCARD');
+      const { status, summary: refused } = await get(`CICSProgram/PLEX1?cachetoken=${summary.cachetoken}&index=${index}`);
+      assert.equal(status, 400);
+      assert.equal(refused.api_response1_alt, 'INVALIDPARM');
+      assert.equal(refused.api_response2, '13');
+    });
+  }
+});
+
+describe('INSTALL of a bundle definition', () => {
+  let mock;
+  let baseUrl;
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}/CICSSystemManagement/${path}`, {
+      method,
+      headers: { Authorization: ADMIN_AUTH, 'Content-Type': 'application/xml' },
+      body
+    });
+    const text = await response.text();
+    return { status: response.status, summary: getResultSummary(text), body: text };
+  };
+  const install = () => request('PUT', 'CICSDefinitionBundle/PLEX1/REGION1?PARAMETER=CSDGROUP(BUNGRP)',
+    '<request><action name="INSTALL"/></request>');
+
+  before(async () => {
+    mock = createMockServer({ port: 0, host: '127.0.0.1', quiet: true });
+    baseUrl = await mock.start();
+    await request('POST', 'CICSDefinitionBundle/PLEX1/REGION1',
+      '<request><create><parameter name="CSD"/><attributes name="MYBUNDLE" csdgroup="BUNGRP" bundledir="/u/bundles/my"/></create></request>');
+    await install();
+  });
+
+  after(() => mock.stop());
+
+  it('refuses to replace an enabled bundle, with feedback from its region', async () => {
+    const { summary, body } = await install();
+    assert.equal(summary.api_response1_alt, 'TABLEERROR');
+    assert.match(body, /<feedback [^>]*eibfn_alt="CSD INSTALL" eibresp="16" eibresp_alt="INVREQ" eibresp2="4" eyu_cicsname="REGION1"/);
+  });
+
+  it('replaces a disabled bundle', async () => {
+    await request('PUT', 'CICSBundle/PLEX1/REGION1?CRITERIA=NAME%3DMYBUNDLE', '<request><action name="DISABLE"/></request>');
+    const { summary } = await install();
+    assert.equal(summary.api_response1_alt, 'OK');
+  });
+});
+
+describe('X-Mock-Seed', () => {
+  let mock;
+  let baseUrl;
+
+  const login = async headers => {
+    const response = await fetch(`${baseUrl}/CICSSystemManagement/CICSProgram/PLEX1`, {
+      headers: { Authorization: ADMIN_AUTH, ...headers }
+    });
+    return /LtpaToken2=([^;]+)/.exec(response.headers.get('set-cookie'))[1];
+  };
+
+  before(async () => {
+    mock = createMockServer({ port: 0, host: '127.0.0.1', quiet: true, seed: '42', maxSessionsPerUser: 0 });
+    baseUrl = await mock.start();
+  });
+
+  afterEach(() => mock.reset());
+  after(() => mock.stop());
+
+  it('leaves the seed out of /health and shows it under /admin', async () => {
+    const health = await (await fetch(`${baseUrl}/health`)).json();
+    assert.equal(health.seeded, true);
+    assert.equal(health.seed, undefined);
+
+    const admin = await (await fetch(`${baseUrl}/admin/seed`)).json();
+    assert.deepEqual(admin, { seeded: true, seed: '42' });
+  });
+
+  it('gives a header seed values of its own, apart from the server seed', async () => {
+    assert.notEqual(await login({}), await login({ 'X-Mock-Seed': '42' }));
+  });
+
+  it('repeats the values of a header seed after a reset', async () => {
+    const first = await login({ 'X-Mock-Seed': 'snapshot' });
+    mock.reset();
+    assert.equal(await login({ 'X-Mock-Seed': 'snapshot' }), first);
+  });
+
+  it('does not hand out a session in use when a forgotten header seed starts again', async () => {
+    const first = await login({ 'X-Mock-Seed': 'forgotten' });
+    for (let i = 0; i < 100; i++) {
+      await login({ 'X-Mock-Seed': `other${i}` });
+    }
+    assert.notEqual(await login({ 'X-Mock-Seed': 'forgotten' }), first);
+  });
+});
+
+describe('Basic auth sessions', () => {
+  let mock;
+  let baseUrl;
+
+  const login = async (headers = {}) => {
+    const response = await fetch(`${baseUrl}/CICSSystemManagement/CICSProgram/PLEX1`, {
+      headers: { Authorization: ADMIN_AUTH, ...headers }
+    });
+    return /LtpaToken2=([^;]+)/.exec(response.headers.get('set-cookie'))?.[1] ?? null;
+  };
+  const countSessions = async () => {
+    const response = await fetch(`${baseUrl}/admin/sessions`);
+    return (await response.json()).length;
+  };
+
+  before(async () => {
+    mock = createMockServer({ port: 0, host: '127.0.0.1', quiet: true, maxSessionsPerUser: 3 });
+    baseUrl = await mock.start();
+  });
+
+  afterEach(() => mock.reset());
+  after(() => mock.stop());
+
+  it('resumes the session of a valid LtpaToken2 cookie for the same user', async () => {
+    const token = await login();
+    await login({ Cookie: `LtpaToken2=${token}` });
+    assert.equal(await countSessions(), 1);
+  });
+
+  it('ends the least recently used sessions past maxSessionsPerUser', async () => {
+    const first = await login();
+    for (let i = 0; i < 4; i++) {
+      await login();
+    }
+    assert.equal(await countSessions(), 3);
+
+    const response = await fetch(`${baseUrl}/CICSSystemManagement/CICSProgram/PLEX1`, { headers: { Cookie: `LtpaToken2=${first}` } });
+    assert.equal(response.status, 401);
+  });
+});
+
+describe('CMCI errors', () => {
+  let mock;
+  let baseUrl;
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}/CICSSystemManagement/${path}`, {
+      method,
+      headers: { Authorization: ADMIN_AUTH, 'Content-Type': 'application/xml' },
+      body
+    });
+    const text = await response.text();
+    return { status: response.status, summary: getResultSummary(text), body: text };
+  };
+
+  before(async () => {
+    mock = createMockServer({ port: 0, host: '127.0.0.1', quiet: true });
+    baseUrl = await mock.start();
+  });
+
+  afterEach(() => mock.reset());
+  after(() => mock.stop());
+
+  it('answers a duplicate create with DUPE', async () => {
+    const create = () => request('POST', 'CICSDefinitionProgram/PLEX1/REGION1',
+      '<request><create><parameter name="CSD"/><attributes name="DUPPROG" csdgroup="DUPGRP"/></create></request>');
+    assert.equal((await create()).summary.api_response1_alt, 'OK');
+
+    const { status, summary } = await create();
+    assert.equal(status, 409);
+    assert.equal(summary.api_response1, '1042');
+    assert.equal(summary.api_response1_alt, 'DUPE');
+  });
+
+  it('reports records an action is not valid for in <feedback>, changing the others', async () => {
+    await request('PUT', 'CICSBundle/PLEX1/REGION1', '<request><action name="DISABLE"/></request>');
+    const { status, summary, body } = await request('PUT', 'CICSBundle/PLEX1', '<request><action name="AVAILABLE"/></request>');
+
+    assert.equal(status, 409);
+    assert.equal(summary.api_response1_alt, 'TABLEERROR');
+    assert.equal(summary.api_response2, '1');
+    const feedback = [...body.matchAll(/<feedback [^>]*eibresp_alt="INVREQ" eibresp2="2" eyu_cicsname="(\w+)"/g)].map(match => match[1]);
+    assert.equal(feedback.filter(region => region === 'REGION1').length, 3);
+    assert.equal(summary.recordcount, '9');
+    assert.equal(summary.displayed_recordcount, String(9 - feedback.length));
+  });
+
+  it('answers a body express.json cannot parse with HTTP 400', async () => {
+    const response = await fetch(`${baseUrl}/admin/faults`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{ not json'
+    });
+    assert.equal(response.status, 400);
+    assert.ok((await response.json()).error);
+  });
+});
+
+describe('Result sets of another session', () => {
+  for (const strictCmci of [false, true]) {
+    describe(strictCmci ? 'in strict CMCI mode' : 'by default', () => {
+      let mock;
+      let baseUrl;
+
+      // Each request without a cookie logs in again, so gets a session of its own
+      const get = async path => {
+        const response = await fetch(`${baseUrl}/CICSSystemManagement/${path}`, { headers: { Authorization: ADMIN_AUTH } });
+        return { status: response.status, summary: getResultSummary(await response.text()) };
+      };
+
+      before(async () => {
+        mock = createMockServer({ port: 0, host: '127.0.0.1', quiet: true, strictCmci });
+        baseUrl = await mock.start();
+      });
+
+      after(() => mock.stop());
+
+      it(strictCmci ? 'are not found, by path or by the cachetoken query' : 'are refused, by path and by the cachetoken query', async () => {
+        const { summary } = await get('CICSProgram/PLEX1?NODISCARD');
+        const byPath = await get(`CICSResultCache/${summary.cachetoken}`);
+        const byQuery = await get(`CICSProgram/PLEX1?cachetoken=${summary.cachetoken}`);
+
+        if (strictCmci) {
+          assert.equal(byPath.status, 404);
+          assert.equal(byPath.summary.api_response2, '2');
+          assert.equal(byQuery.status, 200);
+          assert.notEqual(byQuery.summary.cachetoken, summary.cachetoken);
+        } else {
+          for (const { status, summary: refused } of [byPath, byQuery]) {
+            assert.equal(status, 403);
+            assert.equal(refused.api_response2, '3');
+          }
+        }
+      });
+    });
+  }
+});